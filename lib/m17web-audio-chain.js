@@ -0,0 +1,157 @@
+const LEVEL_INTERVAL = 50; // ms between level measurements
+const GATE_HOLD = 300; // ms the gate stays open after the level drops
+const AGC_MIN_GAIN = -12; // dB
+const AGC_MAX_GAIN = 24; // dB
+const CLIP_LEVEL = 0.99;
+
+const toDb = (value) => 20 * Math.log10(Math.max(value, 1e-10));
+const fromDb = (db) => Math.pow(10, db / 20);
+
+/**
+ * AudioChain - Optional Web Audio processing between playout and speakers
+ *
+ *   input -> voice band filter -> noise gate -> AGC -> volume -> limiter -> output
+ *
+ * Every stage can be switched on and off without touching the volume, and a
+ * peak meter after the limiter reports clipping. The analyser taps the input
+ * for visualizers and stays connected when the stages are rewired
+ */
+export class AudioChain {
+  constructor(audioCtx, options = {}) {
+    this.audioCtx = audioCtx;
+    this.options = {
+      voiceFilter: false,
+      squelch: null, // gate threshold in dBFS, null when off
+      agc: false,
+      agcTarget: -18, // dBFS
+      onClip: null,
+      ...options
+    };
+
+    this.input = audioCtx.createGain();
+    this.volume = audioCtx.createGain();
+
+    this._highpass = audioCtx.createBiquadFilter();
+    this._highpass.type = "highpass";
+    this._highpass.frequency.value = 300;
+
+    this._lowpass = audioCtx.createBiquadFilter();
+    this._lowpass.type = "lowpass";
+    this._lowpass.frequency.value = 3000;
+
+    this._gate = audioCtx.createGain();
+    this._agcGain = audioCtx.createGain();
+
+    this._limiter = audioCtx.createDynamicsCompressor();
+    this._limiter.threshold.value = -3;
+    this._limiter.knee.value = 0;
+    this._limiter.ratio.value = 20;
+    this._limiter.attack.value = 0.002;
+    this._limiter.release.value = 0.1;
+
+    this._output = audioCtx.createGain();
+
+    this._levelMeter = audioCtx.createAnalyser();
+    this._levelMeter.fftSize = 2048;
+    this._peakMeter = audioCtx.createAnalyser();
+    this._peakMeter.fftSize = 2048;
+    this._samples = new Float32Array(this._levelMeter.fftSize);
+
+    this.analyser = audioCtx.createAnalyser();
+    this.analyser.fftSize = 1024;
+
+    this._gateOpenUntil = 0;
+    this._timer = null;
+    this._wire();
+  }
+
+  connect(destination) {
+    this._output.connect(destination);
+  }
+
+  // Change settings and rewire the graph, stages switched off pass audio unchanged
+  configure(options) {
+    Object.assign(this.options, options);
+    this._wire();
+    if (this.options.squelch === null) this._resetGain(this._gate);
+    if (!this.options.agc) this._resetGain(this._agcGain);
+  }
+
+  // Measure levels only while audio is playing
+  start() {
+    if (!this._timer) {
+      this._timer = setInterval(() => this._measure(), LEVEL_INTERVAL);
+    }
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  _resetGain(node) {
+    node.gain.cancelScheduledValues(0);
+    node.gain.value = 1;
+  }
+
+  _wire() {
+    [this.input, this._highpass, this._lowpass, this._gate, this._agcGain, this.volume, this._limiter].forEach(node => node.disconnect());
+
+    this.input.connect(this.analyser);
+    let node = this.input;
+    if (this.options.voiceFilter) {
+      node.connect(this._highpass);
+      this._highpass.connect(this._lowpass);
+      node = this._lowpass;
+    }
+    node.connect(this._levelMeter);
+    node.connect(this._gate);
+    this._gate.connect(this._agcGain);
+    this._agcGain.connect(this.volume);
+
+    if (this.options.agc) {
+      this.volume.connect(this._limiter);
+      this._limiter.connect(this._output);
+    } else {
+      this.volume.connect(this._output);
+    }
+    this._output.connect(this._peakMeter);
+  }
+
+  _measure() {
+    const now = this.audioCtx.currentTime;
+
+    this._levelMeter.getFloatTimeDomainData(this._samples);
+    let sum = 0;
+    for (let i = 0; i < this._samples.length; i++) {
+      sum += this._samples[i] * this._samples[i];
+    }
+    const level = toDb(Math.sqrt(sum / this._samples.length));
+
+    // Noise gate: open above the squelch level, close after the hold time
+    const { squelch } = this.options;
+    if (squelch !== null) {
+      if (level > squelch) this._gateOpenUntil = performance.now() + GATE_HOLD;
+      const open = performance.now() < this._gateOpenUntil;
+      this._gate.gain.setTargetAtTime(open ? 1 : 0, now, open ? 0.005 : 0.05);
+    }
+
+    // AGC: steer towards the target level, but never lift noise below the gate
+    const floor = squelch !== null ? squelch : -60;
+    if (this.options.agc && level > floor) {
+      const gain = Math.min(Math.max(this.options.agcTarget - level, AGC_MIN_GAIN), AGC_MAX_GAIN);
+      this._agcGain.gain.setTargetAtTime(fromDb(gain), now, 0.5);
+    }
+
+    // Clip detection on what reaches the speakers
+    if (this.options.onClip) {
+      this._peakMeter.getFloatTimeDomainData(this._samples);
+      for (let i = 0; i < this._samples.length; i++) {
+        if (Math.abs(this._samples[i]) >= CLIP_LEVEL) {
+          this.options.onClip();
+          break;
+        }
+      }
+    }
+  }
+}
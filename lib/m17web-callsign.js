@@ -0,0 +1,148 @@
+// ITU callsign prefixes by ISO 3166 country code. "DA-DR" stands for DA, DB, … DR;
+// the longest matching prefix wins, so "KP4" beats "K"
+const PREFIXES = {
+  AD: 'C3', AE: 'A6', AL: 'ZA', AM: 'EK', AR: 'LO-LW AY AZ', AT: 'OE', AU: 'VK AX',
+  AZ: '4J 4K', BA: 'E7', BE: 'ON-OT', BG: 'LZ', BR: 'PP-PY ZV-ZZ', BY: 'EU-EW',
+  CA: 'VA-VG VO VY CY CZ XJ-XO', CH: 'HB', CL: 'CA-CE XQ XR 3G', CN: 'B', CO: 'HJ HK 5J 5K',
+  CR: 'TI TE', CU: 'CL CM CO T4', CY: '5B C4 H2', CZ: 'OK OL', DE: 'DA-DR', DK: 'OU OV OZ 5P 5Q',
+  DO: 'HI', DZ: '7X', EE: 'ES', EG: 'SU', ES: 'EA-EH AM-AO', FI: 'OF-OJ', FO: 'OY', FR: 'F TM TK',
+  GB: 'G M 2', GE: '4L', GG: 'GU MU 2U', GI: 'ZB', GL: 'OX', GR: 'SV-SZ J4', GT: 'TG TD',
+  HK: 'VR', HR: '9A', HU: 'HA HG', ID: 'YB-YH PK-PO', IE: 'EI EJ', IL: '4X 4Z', IM: 'GD MD 2D',
+  IN: 'VU AT-AW 8T-8Y', IS: 'TF', IT: 'I', JE: 'GJ MJ 2J', JP: 'JA-JS 7J-7N 8J-8N', KE: '5Z',
+  KR: 'HL DS DT 6K-6N', KZ: 'UN-UQ', LI: 'HB0', LT: 'LY', LU: 'LX', LV: 'YL', MA: 'CN', MC: '3A',
+  MD: 'ER', ME: '4O', MK: 'Z3', MT: '9H', MX: 'XA-XI 4A-4C 6D-6J', MY: '9M 9W', NG: '5N',
+  NL: 'PA-PI', NO: 'LA-LN', NZ: 'ZL ZM', PE: 'OA-OC', PH: 'DU-DZ 4D-4I', PL: 'SN-SR 3Z HF',
+  PR: 'KP3 KP4 NP3 NP4 WP3 WP4', PT: 'CT CQ CR CS CU', RO: 'YO-YR', RS: 'YT YU', RU: 'R UA-UI',
+  SA: 'HZ 7Z 8Z', SE: 'SA-SM 7S 8S', SG: '9V S6', SI: 'S5', SK: 'OM', SM: 'T7', TH: 'HS E2',
+  TN: '3V', TR: 'TA-TC YM', TW: 'BM-BQ BU-BX', UA: 'UR-UZ EM-EO', US: 'K N W AA-AK', UY: 'CV-CX',
+  VA: 'HV', VE: 'YV-YY', ZA: 'ZR-ZU'
+};
+
+// Expand the table into prefix -> country code
+const prefixTable = new Map();
+Object.entries(PREFIXES).forEach(([iso, prefixes]) => {
+  prefixes.split(' ').forEach((token) => {
+    const range = token.match(/^(\w*)(\w)-\1(\w)$/);
+    if (!range) {
+      prefixTable.set(token, iso);
+      return;
+    }
+    for (let code = range[2].charCodeAt(0); code <= range[3].charCodeAt(0); code++) {
+      prefixTable.set(range[1] + String.fromCharCode(code), iso);
+    }
+  });
+});
+const LONGEST_PREFIX = Math.max(...Array.from(prefixTable.keys(), prefix => prefix.length));
+
+const CACHE_SIZE = 500;
+
+// Flag emoji from the regional indicator letters of a country code
+export const flagFor = (iso) => iso
+  ? String.fromCodePoint(...iso.toUpperCase().split('').map(letter => 0x1F1E6 + letter.charCodeAt(0) - 65))
+  : '';
+
+// Callsign without the M17 module or portable suffix; for "DL/OE3ANC" the
+// prefix in front decides the country
+export function baseCallsign(callsign) {
+  const call = (callsign || '').trim().toUpperCase().split(/\s+/)[0];
+  const parts = call.split('/').filter(Boolean);
+  if (parts.length < 2) return { base: call, location: call };
+  const base = parts.reduce((longest, part) => (part.length > longest.length ? part : longest));
+  const location = parts[0] !== base && parts[0].length < base.length ? parts[0] : base;
+  return { base, location };
+}
+
+// Country code for a callsign from the bundled prefix table, or null
+export function countryFor(callsign) {
+  const { location } = baseCallsign(callsign);
+  for (let length = Math.min(LONGEST_PREFIX, location.length); length > 0; length--) {
+    const iso = prefixTable.get(location.slice(0, length));
+    if (iso) return iso;
+  }
+  return null;
+}
+
+/**
+ * CallsignResolver - Looks up details for a callsign
+ * Starts from the bundled prefix table (country code and flag), then merges
+ * an optional JSON database ({ "OE3ANC": { "name": "…" } }, inline or by URL)
+ * and an optional async lookup function. Results are cached per callsign
+ */
+export class CallsignResolver {
+  // Prefix table only, used by players with the callsign-info attribute
+  static shared = new CallsignResolver();
+  static _databases = new Map();
+
+  // Resolver shared by every player using the same database URL
+  static forDatabase(url) {
+    if (!CallsignResolver._databases.has(url)) {
+      CallsignResolver._databases.set(url, new CallsignResolver({ database: url }));
+    }
+    return CallsignResolver._databases.get(url);
+  }
+
+  constructor({ database = null, lookup = null } = {}) {
+    this.lookup = lookup;
+    this._database = database;
+    this._databaseReady = null;
+    this._cache = new Map();
+  }
+
+  // Resolves with { callsign, base, iso, flag, name, ... } or null for an empty callsign
+  resolve(callsign) {
+    const { base } = baseCallsign(callsign);
+    if (!base) return Promise.resolve(null);
+
+    if (!this._cache.has(base)) {
+      // Drop the oldest entry, Map keeps insertion order
+      if (this._cache.size >= CACHE_SIZE) this._cache.delete(this._cache.keys().next().value);
+      const lookup = this._lookup(callsign, base).then(({ details, failed }) => {
+        // Answer with what is known, but ask again next time
+        if (failed && this._cache.get(base) === lookup) this._cache.delete(base);
+        return details;
+      });
+      this._cache.set(base, lookup);
+    }
+    return this._cache.get(base);
+  }
+
+  clearCache() {
+    this._cache.clear();
+  }
+
+  async _lookup(callsign, base) {
+    const iso = countryFor(callsign);
+    let details = { callsign: base, base, iso, flag: flagFor(iso), name: '' };
+    let failed = false;
+
+    try {
+      const database = await this._loadDatabase();
+      if (database && database[base]) details = { ...details, ...database[base] };
+      if (this.lookup) details = { ...details, ...(await this.lookup(base)) };
+    } catch (err) {
+      console.warn(`Callsign lookup for ${base} failed: ${err.message}`);
+      failed = true;
+    }
+
+    // An entry may name its own country
+    if (details.iso !== iso) details.flag = flagFor(details.iso);
+    return { details, failed };
+  }
+
+  _loadDatabase() {
+    if (typeof this._database !== 'string') return Promise.resolve(this._database);
+    if (!this._databaseReady) {
+      this._databaseReady = fetch(this._database)
+        .then((response) => {
+          if (!response.ok) throw new Error(`${this._database}: HTTP ${response.status}`);
+          return response.json();
+        })
+        .then(json => Object.fromEntries(Object.entries(json).map(([call, entry]) => [call.toUpperCase(), entry])))
+        .catch((err) => {
+          console.warn(`Callsign database not loaded: ${err.message}`);
+          return null;
+        });
+    }
+    return this._databaseReady;
+  }
+}
@@ -0,0 +1,269 @@
+import { M17webPlayer } from './m17web-player.js';
+import { PlayerHost, PLAYER_ATTRIBUTES } from './m17web-player-host.js';
+
+// Split a comma or whitespace separated attribute into its entries
+const parseList = (value) => (value || '').split(/[\s,]+/).filter(Boolean);
+
+// Turn a "REFLECTOR/MODULE" pattern with * wildcards into a RegExp;
+// a bare reflector matches all of its modules
+const patternToRegExp = (pattern) => {
+  const full = pattern.includes('/') ? pattern : `${pattern}/*`;
+  const source = full
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`, 'i');
+};
+
+// Stereo position of the first "PATTERN=pan" entry matching a module, 0 otherwise
+const panFor = (value, key) => {
+  const match = parseList(value)
+    .map(entry => entry.split('='))
+    .find(([pattern]) => patternToRegExp(pattern).test(key));
+  const pan = match ? parseFloat(match[1]) : 0;
+  return Number.isFinite(pan) ? pan : 0;
+};
+
+/**
+ * M17ReflectorDashboard - Custom HTML element listing every module of a proxy
+ * Builds one m17-web-player per reflector/module pair found in the status feed
+ * and keeps the cards in sync as modules appear or disappear
+ */
+export class M17ReflectorDashboard extends PlayerHost {
+  static observedAttributes = ["reflectors", "include", "exclude", "sort", "pan", ...PLAYER_ATTRIBUTES];
+
+  // Properties
+  sort = 'name'; // 'name' or 'activity'
+
+  // Private properties
+  _players = new Map(); // "reflector/module" -> { player, lastActive }
+  _sections = new Map(); // reflector -> section element
+  _lastStatus = { entries: [], errors: [] };
+  _status = ["waiting-for-status"]; // catalog key and parameters of the status line
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+    super.attributeChangedCallback(name, oldValue, newValue);
+
+    switch (name) {
+      case "sort":
+        this.sort = newValue === "activity" ? "activity" : "name";
+        this._applyOrder();
+        break;
+      case "reflectors":
+      case "include":
+      case "exclude":
+        this._update(this._lastStatus);
+        break;
+      case "pan":
+        this._players.forEach(({ player }, key) => player.setAttribute("pan", panFor(newValue, key)));
+        break;
+    }
+  }
+
+  connectedCallback() {
+    if (!this.shadowRoot) this._createUI();
+    super.connectedCallback();
+  }
+
+  // Reflector/module pairs currently shown
+  get modules() {
+    return Array.from(this._players.keys());
+  }
+
+  get hostedPlayers() {
+    return Array.from(this._players.values(), ({ player }) => player);
+  }
+
+  _onStatus(status) {
+    this._update(status);
+  }
+
+  _showUrlError(err) {
+    this._showStatus("invalid-url-detail", { error: err.message });
+  }
+
+  // Status line by catalog key, null to clear it; kept so it can be translated again
+  _showStatus(key, params) {
+    this._status = key ? [key, params] : null;
+    this._applyLanguage();
+  }
+
+  _applyLanguage() {
+    if (!this.shadowRoot) return;
+    super._applyLanguage();
+    this.shadowRoot.getElementById("dashboardStatus").textContent = this._status ? this._t(...this._status) : "";
+  }
+
+  // Filtering
+  _isShown(reflector, module) {
+    const reflectors = parseList(this.getAttribute("reflectors"));
+    const include = parseList(this.getAttribute("include")).map(patternToRegExp);
+    const exclude = parseList(this.getAttribute("exclude")).map(patternToRegExp);
+    const key = `${reflector}/${module}`;
+
+    if (reflectors.length && !reflectors.some(name => name.toLowerCase() === reflector.toLowerCase())) return false;
+    if (include.length && !include.some(pattern => pattern.test(key))) return false;
+    return !exclude.some(pattern => pattern.test(key));
+  }
+
+  // Add and remove cards to match the latest status array. A module whose
+  // entry was malformed this time is still there, its card keeps playing
+  _update(status) {
+    this._lastStatus = status;
+    if (!this.shadowRoot) return;
+
+    const { entries, errors } = status;
+    const seen = new Set(errors
+      .filter(error => error.reflector && error.module)
+      .map(error => `${error.reflector}/${error.module}`));
+    entries.forEach((entry) => {
+      if (!this._isShown(entry.reflector, entry.module)) return;
+
+      const key = `${entry.reflector}/${entry.module}`;
+      seen.add(key);
+      if (!this._players.has(key)) {
+        this._addPlayer(entry.reflector, entry.module);
+      }
+      if (entry.active_qso) {
+        this._players.get(key).lastActive = Date.now();
+      }
+    });
+
+    this._players.forEach((card, key) => {
+      if (!seen.has(key)) this._removePlayer(key);
+    });
+
+    this._showStatus(this._players.size ? null : "no-modules");
+    this._applyOrder();
+  }
+
+  _addPlayer(reflector, module) {
+    const player = document.createElement("m17-web-player");
+    this._passAttributes(player);
+    player.setAttribute("reflector", reflector);
+    player.setAttribute("module", module);
+    player.setAttribute("label", `${reflector} ${module}`);
+    player.setAttribute("pan", panFor(this.getAttribute("pan"), `${reflector}/${module}`));
+    player.setAttribute("exportparts", M17webPlayer.parts.join(", "));
+
+    this._sectionFor(reflector).querySelector(".players-container").appendChild(player);
+    this._players.set(`${reflector}/${module}`, { player, lastActive: 0 });
+    this.dispatchEvent(new CustomEvent("m17-module-added", { detail: { reflector, module }, bubbles: true, composed: true }));
+  }
+
+  _removePlayer(key) {
+    const { player } = this._players.get(key);
+    const reflector = player.reflector;
+    player.stop();
+    player.remove();
+    this._players.delete(key);
+
+    // Drop the reflector section with its last module
+    const section = this._sections.get(reflector);
+    if (section && !section.querySelector("m17-web-player")) {
+      section.remove();
+      this._sections.delete(reflector);
+    }
+    this.dispatchEvent(new CustomEvent("m17-module-removed", { detail: { reflector, module: player.module }, bubbles: true, composed: true }));
+  }
+
+  _sectionFor(reflector) {
+    if (!this._sections.has(reflector)) {
+      const section = document.createElement("div");
+      section.className = "section";
+
+      const title = document.createElement("h2");
+      title.className = "section-title";
+      title.textContent = reflector;
+
+      const container = document.createElement("div");
+      container.className = "players-container";
+
+      section.appendChild(title);
+      section.appendChild(container);
+      this.shadowRoot.getElementById("sections").appendChild(section);
+      this._sections.set(reflector, section);
+    }
+    return this._sections.get(reflector);
+  }
+
+  // Sort with the CSS order property, moving players in the DOM would restart them
+  _applyOrder() {
+    const cards = Array.from(this._players.entries());
+    const byName = (a, b) => a[0].localeCompare(b[0]);
+    const byActivity = (a, b) => (b[1].lastActive - a[1].lastActive) || byName(a, b);
+    cards.sort(this.sort === "activity" ? byActivity : byName);
+
+    const sectionOrder = [];
+    cards.forEach(([, card], index) => {
+      card.player.style.order = index;
+      if (!sectionOrder.includes(card.player.reflector)) sectionOrder.push(card.player.reflector);
+    });
+    sectionOrder.forEach((reflector, index) => {
+      this._sections.get(reflector).style.order = index;
+    });
+  }
+
+  // UI creation
+  _createUI() {
+    const shadow = this.attachShadow({ mode: "open" });
+
+    const sections = document.createElement("div");
+    sections.setAttribute("id", "sections");
+    sections.className = "sections";
+
+    const dashboardStatus = document.createElement("div");
+    dashboardStatus.setAttribute("id", "dashboardStatus");
+    dashboardStatus.className = "dashboard-status";
+
+    const style = document.createElement("style");
+    style.textContent = `
+      :host {
+        display: block;
+      }
+
+      .sections {
+        display: flex;
+        flex-direction: column;
+      }
+
+      .section {
+        width: 100%;
+        margin-bottom: 40px;
+      }
+
+      .section-title {
+        font-size: 24px;
+        margin-bottom: 20px;
+        padding-bottom: 10px;
+        border-bottom: 2px solid var(--m17-bar, #eaeaea);
+      }
+
+      .players-container {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 20px;
+        margin: 0 auto;
+      }
+
+      .dashboard-status {
+        opacity: 0.6;
+      }
+
+      @media (max-width: 768px) {
+        .players-container {
+          flex-direction: column;
+          align-items: center;
+        }
+      }
+    `;
+
+    shadow.appendChild(style);
+    shadow.appendChild(dashboardStatus);
+    shadow.appendChild(sections);
+    this._applyLanguage();
+  }
+}
+
+customElements.define("m17-reflector-dashboard", M17ReflectorDashboard);
@@ -0,0 +1,26 @@
+import init, * as codec2 from './M17web/m17web_wasm.js';
+import { CODEC_MODES, CodecUnsupportedError } from './m17web-protocol.js';
+
+/**
+ * Decoder worker - Hosts the Codec2 WASM decoder off the main thread
+ * Receives raw Codec2 bytes and posts float PCM back as transferable buffers
+ */
+const ready = init();
+
+self.onmessage = async (evt) => {
+  const { id, data, mode } = evt.data;
+
+  try {
+    await ready;
+    const decode = codec2[CODEC_MODES[mode].decoder];
+    if (!decode) throw new CodecUnsupportedError(mode);
+    const pcm = decode(data);
+    const samples = new Float32Array(pcm.length);
+    for (let i = 0; i < pcm.length; i++) {
+      samples[i] = pcm[i] / 32768.0;
+    }
+    self.postMessage({ id, samples }, [samples.buffer]);
+  } catch (err) {
+    self.postMessage({ id, error: err.message, unsupported: err instanceof CodecUnsupportedError });
+  }
+};
@@ -0,0 +1,230 @@
+// Bundled catalogs, English is the fallback for missing keys
+const en = {
+  "title": "M17 Player",
+  "card-label": "M17 player {reflector} {module}",
+  "logo": "M17web Player by OE3ANC",
+  "play": "Play",
+  "volume": "Volume",
+  "volume-value": "{percent}",
+  "messages": "Messages",
+  "on-air": "{callsign} on air on {reflector} {module}",
+  "off-air": "{callsign} off air on {reflector} {module}",
+  "callsign": "Callsign:",
+  "last-call": "LastCall",
+  "last-heard": "Last Heard: {callsign}",
+  "streaming": "Streaming",
+  "error": "Error",
+  "reconnecting": "Reconnecting…",
+  "invalid-url": "Invalid URL",
+  "invalid-url-detail": "Invalid URL: {error}",
+  "no-messages": "No messages",
+  "no-qsos": "No QSOs yet",
+  "qso-history": "QSO history",
+  "recordings": "Recordings",
+  "record": "Record",
+  "codec-unsupported": "C2 {mode} unsupported",
+  "codec-error": "C2 {mode} decoding failed",
+  "diagnostics": "Skipped {statusEntries} status entries and {frames} stream frames, ignored {lsfs} broken LSFs\nLast: {error}",
+  "clip": "CLIP",
+  "clip-hint": "Output is clipping, lower the volume or enable AGC",
+  "output-device": "Output device",
+  "default-output": "Default output",
+  "default-output-hint": "The chosen output device is not available, playing on the default device",
+  "output-number": "Output {number}",
+  "choose-device": "Choose device…",
+  "duration-seconds": "{seconds}s",
+  "duration-minutes": "{minutes}m {seconds}s",
+  "notify-activity": "{callsign} on {reflector} {module}",
+  "notify-activity-body": "{callsign} is transmitting on {reflector} module {module}",
+  "notify-message": "Message from {callsign} on {reflector} {module}",
+  "waiting-for-status": "Waiting for status…",
+  "no-modules": "No modules",
+  "scanning": "Scanning…",
+  "locked-out": "Locked out, click to unlock",
+  "lock-out": "Click to lock out",
+  "lsf-route": "{source} → {destination}",
+  "lsf-via": "via {callsign}",
+  "lsf-can": "CAN {can}",
+  "lsf-encryption-scrambler": "Scrambled",
+  "lsf-encryption-aes": "AES encrypted",
+  "lsf-encryption-other": "Encrypted",
+  "lsf-map": "Show on map"
+};
+
+const de = {
+  "title": "M17 Player",
+  "card-label": "M17-Player {reflector} {module}",
+  "logo": "M17web Player von OE3ANC",
+  "play": "Wiedergabe",
+  "volume": "Lautstärke",
+  "volume-value": "{percent}",
+  "messages": "Nachrichten",
+  "on-air": "{callsign} sendet auf {reflector} {module}",
+  "off-air": "{callsign} hat auf {reflector} {module} aufgehört zu senden",
+  "callsign": "Rufzeichen:",
+  "last-call": "Letzter Ruf",
+  "last-heard": "Zuletzt gehört: {callsign}",
+  "streaming": "Empfang",
+  "error": "Fehler",
+  "reconnecting": "Verbinde neu…",
+  "invalid-url": "Ungültige URL",
+  "invalid-url-detail": "Ungültige URL: {error}",
+  "no-messages": "Keine Nachrichten",
+  "no-qsos": "Noch keine QSOs",
+  "qso-history": "QSO-Verlauf",
+  "recordings": "Aufnahmen",
+  "record": "Aufnehmen",
+  "codec-unsupported": "C2 {mode} nicht unterstützt",
+  "codec-error": "C2 {mode} Dekodierfehler",
+  "diagnostics": "{statusEntries} Statuseinträge und {frames} Stream-Frames übersprungen, {lsfs} fehlerhafte LSFs ignoriert\nZuletzt: {error}",
+  "clip": "ÜBERSTEUERT",
+  "clip-hint": "Die Ausgabe übersteuert, Lautstärke verringern oder AGC einschalten",
+  "output-device": "Ausgabegerät",
+  "default-output": "Standardausgabe",
+  "default-output-hint": "Das gewählte Ausgabegerät ist nicht verfügbar, Wiedergabe auf dem Standardgerät",
+  "output-number": "Ausgabe {number}",
+  "choose-device": "Gerät wählen…",
+  "duration-seconds": "{seconds} s",
+  "duration-minutes": "{minutes} min {seconds} s",
+  "notify-activity": "{callsign} auf {reflector} {module}",
+  "notify-activity-body": "{callsign} sendet auf {reflector} Modul {module}",
+  "notify-message": "Nachricht von {callsign} auf {reflector} {module}",
+  "waiting-for-status": "Warte auf Status…",
+  "no-modules": "Keine Module",
+  "scanning": "Suchlauf…",
+  "locked-out": "Gesperrt, zum Entsperren klicken",
+  "lock-out": "Zum Sperren klicken",
+  "lsf-route": "{source} → {destination}",
+  "lsf-via": "über {callsign}",
+  "lsf-can": "CAN {can}",
+  "lsf-encryption-scrambler": "Verwürfelt",
+  "lsf-encryption-aes": "AES-verschlüsselt",
+  "lsf-encryption-other": "Verschlüsselt",
+  "lsf-map": "Auf der Karte zeigen"
+};
+
+/**
+ * I18n - Singleton holding the UI string catalogs
+ * Looks up strings by language tag, falling back from "de-AT" to "de" and
+ * then to English, and formats times for the same language
+ */
+export const I18n = (() => {
+  const catalogs = { en, de };
+  const timeFormats = new Map();
+  const percentFormats = new Map();
+  const regionNames = new Map();
+  const watchers = new Set();
+  let observer = null;
+
+  const notify = () => watchers.forEach(callback => callback());
+
+  // One observer for the whole document: lang changes are rare, and each
+  // watcher checks whether its own language actually changed. Attributes
+  // inside shadow roots are not seen, elements there get their own lang
+  // passed on as an attribute
+  const observe = () => {
+    if (observer || typeof MutationObserver !== 'function') return;
+    observer = new MutationObserver(notify);
+    observer.observe(document.documentElement, { attributes: true, attributeFilter: ['lang'], subtree: true });
+    window.addEventListener('languagechange', notify);
+  };
+
+  const unobserve = () => {
+    if (!observer) return;
+    observer.disconnect();
+    observer = null;
+    window.removeEventListener('languagechange', notify);
+  };
+
+  // Catalog name for a language tag
+  const resolve = (lang) => {
+    const tag = (lang || '').toLowerCase();
+    if (catalogs[tag]) return tag;
+    const base = tag.split('-')[0];
+    return catalogs[base] ? base : 'en';
+  };
+
+  return {
+    // Add a catalog or extend an existing one, e.g. register('fr', { streaming: 'En direct' })
+    register(lang, messages) {
+      const tag = lang.toLowerCase();
+      catalogs[tag] = { ...catalogs[tag], ...messages };
+    },
+
+    get languages() {
+      return Object.keys(catalogs);
+    },
+
+    resolve,
+
+    // Translate a key, filling in {name} placeholders from params
+    t(lang, key, params = {}) {
+      const template = catalogs[resolve(lang)][key] ?? en[key] ?? key;
+      return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    formatTime(lang, date) {
+      const locale = lang || undefined;
+      if (!timeFormats.has(locale)) {
+        try {
+          timeFormats.set(locale, new Intl.DateTimeFormat(locale, { timeStyle: 'medium' }));
+        } catch (err) {
+          timeFormats.set(locale, new Intl.DateTimeFormat(undefined, { timeStyle: 'medium' }));
+        }
+      }
+      return timeFormats.get(locale).format(date);
+    },
+
+    // Percentage for a fraction, e.g. 0.75 -> "75 %" in German
+    formatPercent(lang, fraction) {
+      const locale = lang || undefined;
+      if (!percentFormats.has(locale)) {
+        try {
+          percentFormats.set(locale, new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 0 }));
+        } catch (err) {
+          percentFormats.set(locale, new Intl.NumberFormat(undefined, { style: 'percent', maximumFractionDigits: 0 }));
+        }
+      }
+      return percentFormats.get(locale).format(fraction);
+    },
+
+    // Country name for an ISO 3166 code, '' if unknown
+    regionName(lang, iso) {
+      if (!iso || typeof Intl.DisplayNames !== 'function') return '';
+      const locale = lang || undefined;
+      if (!regionNames.has(locale)) {
+        try {
+          regionNames.set(locale, new Intl.DisplayNames(locale, { type: 'region' }));
+        } catch (err) {
+          regionNames.set(locale, new Intl.DisplayNames(undefined, { type: 'region' }));
+        }
+      }
+      try {
+        return regionNames.get(locale).of(iso);
+      } catch (err) {
+        return '';
+      }
+    },
+
+    // Language of an element: its own lang, an ancestor's (across shadow roots),
+    // the document's, the browser's
+    languageOf(element) {
+      for (let node = element; node; node = node.getRootNode().host) {
+        const tagged = node.closest('[lang]');
+        if (tagged && tagged.getAttribute('lang')) return tagged.getAttribute('lang');
+      }
+      return document.documentElement.lang || navigator.language || 'en';
+    },
+
+    // Call back whenever a lang attribute in the document or the browser
+    // language changes; returns a function that stops watching
+    watch(callback) {
+      watchers.add(callback);
+      observe();
+      return () => {
+        watchers.delete(callback);
+        if (!watchers.size) unobserve();
+      };
+    }
+  };
+})();
@@ -0,0 +1,238 @@
+/**
+ * LSF - Decoding of the M17 Link Setup Frame and its META field
+ * DST (6 bytes), SRC (6), TYPE (2), META (14) and an optional CRC (2), as
+ * specified in M17 spec 2.0. Nothing here depends on the player, so the
+ * functions can be used on any LSF a proxy or modem hands over
+ */
+export const LSF_LENGTH = 28; // without CRC
+export const LSF_LENGTH_WITH_CRC = 30;
+export const META_LENGTH = 14;
+
+const CALLSIGN_CHARSET = ' ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-/.';
+const CALLSIGN_LENGTH = 9;
+const BROADCAST = 0xFFFFFFFFFFFF; // "@ALL"
+const HASH_START = 40 ** 9; // "#" prefixed callsigns, e.g. reflector names
+const HASH_END = HASH_START + 40 ** 8;
+
+const DATA_TYPES = [null, 'data', 'voice', 'voice-data'];
+const ENCRYPTION_TYPES = ['none', 'scrambler', 'aes', 'other'];
+const META_KINDS = ['text', 'gnss', 'extended-callsign', null]; // unencrypted subtypes
+const GNSS_SOURCES = { 0: 'm17-client', 1: 'openrtx', 255: 'other' };
+const STATION_TYPES = ['fixed', 'mobile', 'handheld'];
+
+const FEET = 0.3048; // m
+const MPH = 1.609344; // km/h
+
+/**
+ * LsfError - An LSF that can't be decoded
+ */
+export class LsfError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LsfError';
+  }
+}
+
+const readUint48 = (bytes, offset) => bytes
+  .subarray(offset, offset + 6)
+  .reduce((value, byte) => value * 256 + byte, 0);
+
+const isZero = (bytes) => bytes.every(byte => byte === 0);
+
+// M17 CRC-16: polynomial 0x5935, initial value 0xFFFF, no reflection
+export function crc16(bytes) {
+  let crc = 0xFFFF;
+  bytes.forEach((byte) => {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x5935) & 0xFFFF : (crc << 1) & 0xFFFF;
+    }
+  });
+  return crc;
+}
+
+// Base-40 callsign from 6 bytes (or their 48 bit value); '' for an empty or reserved address
+export function decodeCallsign(value, offset = 0) {
+  let address = typeof value === 'number' ? value : readUint48(value, offset);
+  if (address === BROADCAST) return '@ALL';
+  if (address >= HASH_END) return '';
+
+  let prefix = '';
+  if (address >= HASH_START) {
+    prefix = '#';
+    address -= HASH_START;
+  }
+  let callsign = '';
+  while (address > 0) {
+    callsign += CALLSIGN_CHARSET[address % 40];
+    address = Math.floor(address / 40);
+  }
+  return callsign ? prefix + callsign : '';
+}
+
+// 6 byte base-40 address for a callsign, the reverse of decodeCallsign
+export function encodeCallsign(callsign) {
+  const call = callsign.toUpperCase();
+  let address = 0;
+  if (call === '@ALL') {
+    address = BROADCAST;
+  } else {
+    const hash = call.startsWith('#');
+    const chars = hash ? call.slice(1) : call;
+    if (chars.length > (hash ? CALLSIGN_LENGTH - 1 : CALLSIGN_LENGTH)) {
+      throw new LsfError(`callsign ${callsign} is too long`);
+    }
+    for (let i = chars.length - 1; i >= 0; i--) {
+      const index = CALLSIGN_CHARSET.indexOf(chars[i]);
+      if (index < 0) throw new LsfError(`callsign ${callsign} contains "${chars[i]}"`);
+      address = address * 40 + index;
+    }
+    if (hash) address += HASH_START;
+  }
+
+  const bytes = new Uint8Array(6);
+  for (let i = 5; i >= 0; i--) {
+    bytes[i] = address % 256;
+    address = Math.floor(address / 256);
+  }
+  return bytes;
+}
+
+// Codec mode from the data type bits of an LSF TYPE field
+export function codecModeForType(type) {
+  switch ((type >> 1) & 0x3) {
+    case 0x2: return 3200; // voice
+    case 0x3: return 1600; // voice + data
+    default: return null;
+  }
+}
+
+// GNSS META: source, station type, position and, if valid, altitude, bearing and speed
+function parseGnss(meta) {
+  const view = new DataView(meta.buffer, meta.byteOffset, META_LENGTH);
+  const flags = meta[8];
+  const latitude = meta[2] + view.getUint16(3) / 65535;
+  const longitude = meta[5] + view.getUint16(6) / 65535;
+  return {
+    source: GNSS_SOURCES[meta[0]] || 'other',
+    stationType: STATION_TYPES[meta[1]] || null,
+    latitude: flags & 0x01 ? -latitude : latitude,
+    longitude: flags & 0x02 ? -longitude : longitude,
+    altitude: flags & 0x04 ? (view.getUint16(9) - 1500) * FEET : null, // m
+    bearing: flags & 0x08 ? view.getUint16(11) : null, // degrees
+    speed: flags & 0x08 ? meta[13] * MPH : null // km/h
+  };
+}
+
+// Text META block: a control byte whose upper nibble marks how many blocks
+// the message has (0001, 0011, 0111, 1111) and whose lower nibble marks this
+// block, then 13 bytes of UTF-8
+function parseTextBlock(meta) {
+  const count = [0x1, 0x3, 0x7, 0xF].indexOf(meta[0] >> 4) + 1;
+  const index = [0x1, 0x2, 0x4, 0x8].indexOf(meta[0] & 0xF);
+  // Older clients put the text straight into META without a control byte
+  if (!count || index < 0 || index >= count) return { index: 0, count: 1, bytes: meta.slice() };
+  return { index, count, bytes: meta.slice(1) };
+}
+
+/**
+ * Parse an LSF of 28 bytes, or 30 with the CRC, which is then checked.
+ * Unencrypted META is decoded by its subtype into text, gnss or
+ * extendedCallsign; encrypted META (the IV) is only returned raw
+ */
+export function parseLsf(bytes) {
+  const lsf = Uint8Array.from(bytes);
+  if (lsf.length !== LSF_LENGTH && lsf.length !== LSF_LENGTH_WITH_CRC) {
+    throw new LsfError(`LSF is ${lsf.length} bytes instead of ${LSF_LENGTH} or ${LSF_LENGTH_WITH_CRC}`);
+  }
+  if (lsf.length === LSF_LENGTH_WITH_CRC) {
+    const crc = (lsf[28] << 8) | lsf[29];
+    if (crc16(lsf.subarray(0, LSF_LENGTH)) !== crc) throw new LsfError('LSF CRC mismatch');
+  }
+
+  const type = (lsf[12] << 8) | lsf[13];
+  const meta = lsf.slice(14, LSF_LENGTH);
+  const encryption = ENCRYPTION_TYPES[(type >> 3) & 0x3];
+  const encryptionSubtype = (type >> 5) & 0x3;
+
+  const result = {
+    destination: decodeCallsign(lsf, 0),
+    source: decodeCallsign(lsf, 6),
+    type,
+    stream: (type & 0x1) === 1,
+    dataType: DATA_TYPES[(type >> 1) & 0x3],
+    codecMode: codecModeForType(type),
+    encryption,
+    encryptionSubtype,
+    can: (type >> 7) & 0xF,
+    signed: (type & 0x800) !== 0,
+    meta,
+    text: null,
+    gnss: null,
+    extendedCallsign: null
+  };
+
+  // All zero META carries nothing, whatever the subtype says
+  if (encryption !== 'none' || isZero(meta)) return result;
+
+  switch (META_KINDS[encryptionSubtype]) {
+    case 'text':
+      result.text = parseTextBlock(meta);
+      break;
+    case 'gnss':
+      result.gnss = parseGnss(meta);
+      break;
+    case 'extended-callsign':
+      // Callsign field 1 is the originator of relayed traffic, field 2 the reflector or repeater
+      result.extendedCallsign = { callsign1: decodeCallsign(meta, 0), callsign2: decodeCallsign(meta, 6) };
+      break;
+  }
+  return result;
+}
+
+/**
+ * MetaText - Collects the text META blocks of one transmission
+ * Blocks arrive one per LSF in any order and repeat; text holds what was
+ * received so far in block order, complete tells whether every block was seen
+ */
+export class MetaText {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this._blocks = [];
+    this._count = 0;
+    this._text = '';
+  }
+
+  // Add a block from parseLsf's text, returns true if the text changed
+  add(block) {
+    if (!block) return false;
+    if (block.count !== this._count) {
+      // A new message replaces the old one
+      this._blocks = [];
+      this._count = block.count;
+    }
+    this._blocks[block.index] = block.bytes;
+
+    const bytes = this._blocks.filter(Boolean);
+    const joined = new Uint8Array(bytes.reduce((length, part) => length + part.length, 0));
+    bytes.reduce((offset, part) => {
+      joined.set(part, offset);
+      return offset + part.length;
+    }, 0);
+    const text = new TextDecoder().decode(joined).replace(/[\s\0]+$/, '');
+    if (text === this._text) return false;
+    this._text = text;
+    return true;
+  }
+
+  get text() {
+    return this._text;
+  }
+
+  get complete() {
+    return this._count > 0 && this._blocks.filter(Boolean).length === this._count;
+  }
+}
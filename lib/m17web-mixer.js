@@ -0,0 +1,249 @@
+/**
+ * ChannelStrip - One player's input to the shared mixer
+ *
+ *   input -> pan -> mute/solo -> master
+ *
+ * Mute and solo are resolved by the mixer, so soloing one strip silences
+ * every other strip that isn't soloed as well. The output goes to the
+ * default device unless the mixer routes it to another one
+ */
+export class ChannelStrip {
+  constructor(audioCtx, destination, onChange) {
+    this.audioCtx = audioCtx;
+    this._onChange = onChange;
+    this._muted = false;
+    this._solo = false;
+    this._pan = 0;
+    this.outputDevice = ''; // device chosen for this strip, '' for the default
+    this.activeOutputDevice = ''; // device actually playing, differs while the chosen one is missing
+    this.onOutputChange = null;
+
+    this.input = audioCtx.createGain();
+    this._output = audioCtx.createGain();
+    // Older Safari has no StereoPannerNode, strips stay centred there
+    this._panner = audioCtx.createStereoPanner ? audioCtx.createStereoPanner() : null;
+
+    if (this._panner) {
+      this.input.connect(this._panner);
+      this._panner.connect(this._output);
+    } else {
+      this.input.connect(this._output);
+    }
+    this._output.connect(destination);
+  }
+
+  get muted() { return this._muted; }
+  set muted(value) {
+    this._muted = Boolean(value);
+    this._onChange();
+  }
+
+  get solo() { return this._solo; }
+  set solo(value) {
+    this._solo = Boolean(value);
+    this._onChange();
+  }
+
+  // Stereo position from -1 (left) to 1 (right)
+  get pan() { return this._pan; }
+  set pan(value) {
+    this._pan = Math.min(Math.max(Number(value) || 0, -1), 1);
+    if (this._panner) this._panner.pan.setTargetAtTime(this._pan, this.audioCtx.currentTime, 0.02);
+  }
+
+  _connect(destination) {
+    this._output.disconnect();
+    this._output.connect(destination);
+  }
+
+  // Short ramp so muting and soloing don't click
+  _setAudible(audible) {
+    this._output.gain.setTargetAtTime(audible ? 1 : 0, this.audioCtx.currentTime, 0.01);
+  }
+}
+
+/**
+ * Mixer - Singleton owning the AudioContext shared by all players
+ * Browsers limit the number of AudioContexts per page, so every player
+ * plays through a channel strip on one context into a master volume.
+ * Strips sent to another output device go through an audio element per
+ * device, as setSinkId on the context would move every player at once
+ */
+export const Mixer = (() => {
+  let audioCtx = null;
+  let master = null;
+  let masterVolume = 1;
+  const strips = new Set();
+  const buses = new Map(); // deviceId -> Promise of { input, audio }
+
+  const supportsOutputSelection = typeof HTMLMediaElement !== 'undefined' &&
+    'setSinkId' in HTMLMediaElement.prototype;
+
+  // Apply mute and solo to every strip
+  const update = () => {
+    const soloing = Array.from(strips).some(strip => strip.solo);
+    strips.forEach(strip => strip._setAudible(!strip.muted && (!soloing || strip.solo)));
+  };
+
+  const outputDevices = async () => {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter(device => device.kind === 'audiooutput' && device.deviceId && device.deviceId !== 'default');
+  };
+
+  // Output bus for a device, shared by all strips sent there
+  const openBus = (deviceId) => {
+    if (!buses.has(deviceId)) {
+      const input = audioCtx.createGain();
+      input.gain.value = masterVolume;
+      const stream = audioCtx.createMediaStreamDestination();
+      input.connect(stream);
+
+      const audio = new Audio();
+      audio.srcObject = stream.stream;
+      const bus = audio.setSinkId(deviceId)
+        .then(() => audio.play())
+        .then(() => ({ input, audio }));
+      bus.catch(() => closeBus(deviceId));
+      buses.set(deviceId, bus);
+    }
+    return buses.get(deviceId).then(({ input }) => input);
+  };
+
+  const closeBus = (deviceId) => {
+    const bus = buses.get(deviceId);
+    if (!bus) return;
+    buses.delete(deviceId);
+    bus.then(({ input, audio }) => {
+      audio.pause();
+      audio.srcObject = null;
+      input.disconnect();
+    }, () => {});
+  };
+
+  // Buses still opening for a strip count as used
+  const closeUnusedBuses = () => {
+    buses.forEach((bus, deviceId) => {
+      const used = Array.from(strips).some(strip => strip.activeOutputDevice === deviceId || strip.outputDevice === deviceId);
+      if (!used) closeBus(deviceId);
+    });
+  };
+
+  // Connect a strip to its chosen device, falling back to the default one
+  const route = async (strip) => {
+    const wanted = strip.outputDevice;
+    let destination = master;
+    let active = '';
+    if (wanted && supportsOutputSelection) {
+      try {
+        destination = await openBus(wanted);
+        active = wanted;
+      } catch (err) {
+        console.warn(`Output device unavailable, using the default: ${err.message}`);
+      }
+    }
+    // Another device was chosen while this one was opening
+    if (strip.outputDevice !== wanted) return;
+
+    strip._connect(destination);
+    strip.activeOutputDevice = active;
+    closeUnusedBuses();
+    if (strip.onOutputChange) strip.onOutputChange(active);
+  };
+
+  // Move strips off devices that were unplugged and back onto ones that returned
+  const handleDeviceChange = async () => {
+    const available = (await outputDevices()).map(device => device.deviceId);
+    buses.forEach((bus, deviceId) => {
+      if (!available.includes(deviceId)) closeBus(deviceId);
+    });
+    strips.forEach((strip) => {
+      if (!strip.outputDevice) return;
+      const lost = strip.activeOutputDevice && !available.includes(strip.activeOutputDevice);
+      const returned = strip.activeOutputDevice !== strip.outputDevice && available.includes(strip.outputDevice);
+      if (lost || returned) route(strip);
+    });
+  };
+
+  const context = () => {
+    if (!audioCtx) {
+      audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+      master = audioCtx.createGain();
+      master.gain.value = masterVolume;
+      master.connect(audioCtx.destination);
+      if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+        navigator.mediaDevices.addEventListener('devicechange', handleDeviceChange);
+      }
+    }
+    return audioCtx;
+  };
+
+  return {
+    // Shared AudioContext, created on first use
+    get context() {
+      return context();
+    },
+
+    // Resume the shared context, resolves with whether it runs. Without a
+    // user gesture browsers leave the promise pending, so give up after a moment
+    resume(timeout = 500) {
+      const ctx = context();
+      if (ctx.state === "running") return Promise.resolve(true);
+      return Promise.race([
+        ctx.resume().catch(() => {}),
+        new Promise(resolve => setTimeout(resolve, timeout))
+      ]).then(() => ctx.state === "running");
+    },
+
+    // Master volume from 0 to 1 applied after all strips
+    get masterVolume() {
+      return masterVolume;
+    },
+    set masterVolume(value) {
+      masterVolume = Math.min(Math.max(Number(value) || 0, 0), 1);
+      if (master) master.gain.setTargetAtTime(masterVolume, audioCtx.currentTime, 0.02);
+      buses.forEach(bus => bus.then(({ input }) => {
+        input.gain.setTargetAtTime(masterVolume, audioCtx.currentTime, 0.02);
+      }, () => {}));
+    },
+
+    // Whether strips can be sent to devices other than the default
+    get supportsOutputSelection() {
+      return supportsOutputSelection;
+    },
+
+    // Audio output devices, labels stay empty until the page may list them
+    outputDevices,
+
+    // Send a strip to an output device ('' for the default), resolves with the
+    // device actually used
+    async setOutputDevice(strip, deviceId) {
+      strip.outputDevice = deviceId || '';
+      await route(strip);
+      return strip.activeOutputDevice;
+    },
+
+    get strips() {
+      return Array.from(strips);
+    },
+
+    createStrip() {
+      const strip = new ChannelStrip(context(), master, update);
+      this.addStrip(strip);
+      return strip;
+    },
+
+    // Strips of players that left the page drop out of the solo logic
+    addStrip(strip) {
+      strips.add(strip);
+      update();
+      if (strip.outputDevice) route(strip);
+    },
+
+    removeStrip(strip) {
+      strips.delete(strip);
+      update();
+      closeUnusedBuses();
+    }
+  };
+})();
@@ -0,0 +1,67 @@
+/**
+ * Notifier - Singleton for rate limited desktop notifications
+ * Shows notifications only while the page is in the background, at most
+ * one per tag (reflector/module) every TAG_INTERVAL and a few per minute overall
+ */
+export const Notifier = (() => {
+  const TAG_INTERVAL = 30000; // ms between notifications for the same module
+  const MAX_PER_MINUTE = 6;
+
+  const lastByTag = new Map();
+  let recent = []; // timestamps of notifications in the last minute
+  let gestureHandler = null;
+
+  const supported = typeof window !== 'undefined' && 'Notification' in window;
+
+  // Helper function to apply the limits, returns true if a notification may be shown
+  const allow = (tag, now) => {
+    recent = recent.filter(time => now - time < 60000);
+    if (recent.length >= MAX_PER_MINUTE) return false;
+    if (now - (lastByTag.get(tag) || 0) < TAG_INTERVAL) return false;
+    lastByTag.set(tag, now);
+    recent.push(now);
+    return true;
+  };
+
+  return {
+    get supported() {
+      return supported;
+    },
+
+    get permission() {
+      return supported ? Notification.permission : 'denied';
+    },
+
+    // Some browsers only ask for permission from a user gesture, so ask on the first one
+    requestPermission() {
+      if (!supported || Notification.permission !== 'default' || gestureHandler) return;
+
+      gestureHandler = () => {
+        ["pointerdown", "keydown"].forEach(type => {
+          document.removeEventListener(type, gestureHandler, { capture: true });
+        });
+        gestureHandler = null;
+        Notification.requestPermission().catch(err => {
+          console.warn(`Notification permission request failed: ${err.message}`);
+        });
+      };
+      ["pointerdown", "keydown"].forEach(type => {
+        document.addEventListener(type, gestureHandler, { capture: true });
+      });
+    },
+
+    notify(tag, title, options = {}, onclick = null) {
+      if (!supported || Notification.permission !== 'granted') return null;
+      if (document.visibilityState === 'visible') return null;
+      if (!allow(tag, Date.now())) return null;
+
+      const notification = new Notification(title, { tag, ...options });
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+        if (onclick) onclick();
+      };
+      return notification;
+    }
+  };
+})();
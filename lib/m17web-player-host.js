@@ -0,0 +1,139 @@
+import { M17webPlayer, WebSocketManager } from './m17web-player.js';
+import { parseStatus } from './m17web-protocol.js';
+import { I18n } from './m17web-i18n.js';
+
+// Attributes handed down to every player a host creates
+export const PLAYER_ATTRIBUTES = ["proxy", "theme", "scheme", "base-path", "status-url", "stream-url", "stream-format", "jitter-buffer", "jitter-buffer-max", "visualizer", "notify", "watchlist", "watch-sound", "watch-autoplay", "lang", "callsign-info", "callsign-database"];
+
+/**
+ * PlayerHost - Base for elements that create players from the status feed
+ * Follows the proxy's shared status connection, passes its player attributes
+ * on and tracks the inherited language. Subclasses create their UI before
+ * calling connectedCallback, list the players they own in hostedPlayers and
+ * implement _onStatus(status) and _applyLanguage()
+ */
+export class PlayerHost extends HTMLElement {
+  // Attributes passed on to the hosted players, subclasses may add to them
+  static playerAttributes = PLAYER_ATTRIBUTES;
+
+  // Properties
+  proxy = '';
+
+  // Private properties
+  _statusUrl = null;
+  _statusListenerIndex = -1;
+  _renderedLanguage = null;
+  _unwatchLanguage = null;
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+
+    switch (name) {
+      case "proxy":
+        this.proxy = newValue;
+        this._resubscribe();
+        break;
+      case "scheme":
+      case "base-path":
+      case "status-url":
+        this._resubscribe();
+        break;
+      case "lang":
+        this._applyLanguage();
+        break;
+    }
+
+    // Keep existing players in line with the host's settings
+    if (this.constructor.playerAttributes.includes(name)) {
+      this.hostedPlayers.forEach(player => this._copyAttribute(player, name));
+    }
+  }
+
+  connectedCallback() {
+    this._subscribe();
+
+    // Follow the language inherited from <html lang> or an ancestor
+    this._unwatchLanguage = I18n.watch(() => {
+      if (I18n.languageOf(this) !== this._renderedLanguage) this._applyLanguage();
+    });
+  }
+
+  disconnectedCallback() {
+    this._unsubscribe();
+    if (this._unwatchLanguage) this._unwatchLanguage();
+    this._unwatchLanguage = null;
+  }
+
+  // Players whose attributes follow the host's
+  get hostedPlayers() {
+    return [];
+  }
+
+  // Hand every player attribute the host has to a new player
+  _passAttributes(player) {
+    this.constructor.playerAttributes.forEach(name => this._copyAttribute(player, name));
+  }
+
+  _copyAttribute(player, name) {
+    if (this.hasAttribute(name)) {
+      player.setAttribute(name, this.getAttribute(name));
+    } else {
+      player.removeAttribute(name);
+    }
+  }
+
+  // Status connection
+  _subscribe() {
+    if (!this.proxy || !this.shadowRoot) return;
+
+    try {
+      this._statusUrl = M17webPlayer.buildUrl("status", this, { proxy: this.proxy });
+    } catch (err) {
+      console.error(`Invalid URL: ${err.message}`);
+      this._showUrlError(err);
+      return;
+    }
+
+    const self = this;
+    const statusListener = {
+      onmessage: function(evt) {
+        try {
+          self._onStatus(parseStatus(evt.data));
+        } catch (err) {
+          console.warn(`${self.localName} ignored status update: ${err.message}`);
+        }
+      }
+    };
+
+    this._statusListenerIndex = WebSocketManager.registerListener(this._statusUrl, statusListener, true);
+    WebSocketManager.getStatusConnection(this._statusUrl);
+  }
+
+  _unsubscribe() {
+    if (this._statusListenerIndex >= 0) {
+      WebSocketManager.unregisterListener(this._statusUrl, this._statusListenerIndex, true);
+      this._statusListenerIndex = -1;
+    }
+  }
+
+  _resubscribe() {
+    if (!this.isConnected) return;
+    this._unsubscribe();
+    this._subscribe();
+  }
+
+  // Valid entries and skipped ones of a status update, as from parseStatus
+  _onStatus(status) {}
+
+  // The status URL can't be built from the attributes, already logged
+  _showUrlError(err) {}
+
+  // Localization
+  _t(key, params) {
+    return I18n.t(I18n.languageOf(this), key, params);
+  }
+
+  _applyLanguage() {
+    this._renderedLanguage = I18n.languageOf(this);
+  }
+}
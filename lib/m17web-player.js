@@ -1,14 +1,29 @@
-import init, { decode } from './M17web/m17web_wasm.js';
+import init, * as codec2 from './M17web/m17web_wasm.js';
+import { Recorder, encodeWav } from './m17web-recorder.js';
+import { AudioChain } from './m17web-audio-chain.js';
+import { Mixer } from './m17web-mixer.js';
+import { Visualizer } from './m17web-visualizer.js';
+import { Notifier } from './m17web-notifier.js';
+import { parseWatchlist, matchWatchlist, playCue } from './m17web-watchlist.js';
+import { I18n } from './m17web-i18n.js';
+import { CallsignResolver } from './m17web-callsign.js';
+import { MetaText } from './m17web-lsf.js';
+import { parseStatus, parseStreamFrame, extractVoice, BINARY_SUBPROTOCOL, JSON_SUBPROTOCOL, CODEC_MODES, DEFAULT_CODEC_MODE, CodecUnsupportedError } from './m17web-protocol.js';
 
 /**
  * WebSocketManager - Singleton for managing shared WebSocket connections
- * Handles connection pooling, reference counting, and event dispatching
+ * Handles connection pooling, reference counting, event dispatching and
+ * reconnection with exponential backoff after unexpected drops
  */
-const WebSocketManager = (() => {
+export const WebSocketManager = (() => {
   const connections = {};
   const statusConnections = {};
   const listeners = {};
 
+  // Reconnect delays in ms, doubled per attempt up to the maximum
+  const RECONNECT_BASE_DELAY = 1000;
+  const RECONNECT_MAX_DELAY = 30000;
+
   // Helper function to handle events for all listeners
   const notifyListeners = (key, eventName, event) => {
     if (listeners[key]) {
@@ -18,21 +33,63 @@ const WebSocketManager = (() => {
     }
   };
 
+  // Data connections are pooled per URL and offered subprotocols, a player
+  // asking for other subprotocols must not end up on someone else's socket
+  const connectionKey = (url, protocols = []) => (protocols.length ? `${url} ${protocols.join(",")}` : url);
+
+  const hasListeners = (key) => {
+    return listeners[key] && listeners[key].some(listener => Object.keys(listener).length > 0);
+  };
+
+  // Delay before the next attempt, with jitter so players don't reconnect in lockstep
+  const backoffDelay = (attempt) => {
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** attempt, RECONNECT_MAX_DELAY);
+    return Math.round(delay * (0.5 + Math.random() / 2));
+  };
+
+  // Open the socket for a connection entry and wire up its handlers
+  const openSocket = (entry, key, isStatus) => {
+    const ws = new WebSocket(entry.url, entry.protocols);
+    if (!isStatus) ws.binaryType = "arraybuffer";
+    entry.ws = ws;
+    createEventHandlers(ws, key, isStatus);
+  };
+
+  const scheduleReconnect = (entry, key, isStatus) => {
+    const delay = backoffDelay(entry.attempts);
+    entry.attempts++;
+    console.log(`Reconnecting ${isStatus ? 'status connection' : 'connection'} to ${key} in ${delay} ms (attempt ${entry.attempts})`);
+    notifyListeners(key, 'onreconnecting', { attempt: entry.attempts, delay });
+
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      openSocket(entry, key, isStatus);
+    }, delay);
+  };
+
   // Create event handlers for a WebSocket
   const createEventHandlers = (ws, key, isStatus) => {
+    const pool = isStatus ? statusConnections : connections;
+
     ws.onopen = () => {
       console.log(`${isStatus ? 'Status connection' : 'Connection'} to ${key} established`);
+      if (pool[key]) pool[key].attempts = 0;
       notifyListeners(key, 'onopen');
     };
 
     ws.onclose = () => {
       console.log(`${isStatus ? 'Status connection' : 'Connection'} to ${key} closed`);
-      if (isStatus) {
-        delete statusConnections[key];
+
+      // Closed on purpose, or replaced by a newer socket for the same key
+      const entry = pool[key];
+      if (!entry || entry.ws !== ws) return;
+
+      if (hasListeners(key)) {
+        scheduleReconnect(entry, key, isStatus);
       } else {
-        delete connections[key];
+        delete pool[key];
+        notifyListeners(key, 'onclose');
       }
-      notifyListeners(key, 'onclose');
     };
 
     ws.onerror = (evt) => {
@@ -45,42 +102,54 @@ const WebSocketManager = (() => {
     };
   };
 
+  // Close a connection on purpose, cancelling any pending reconnect
+  const closeConnection = (pool, key) => {
+    const entry = pool[key];
+    clearTimeout(entry.timer);
+    delete pool[key];
+    entry.ws.close();
+  };
+
   return {
     // Get or create a status connection
-    getStatusConnection(proxy) {
-      const key = `status:${proxy}`;
+    getStatusConnection(url) {
+      const key = `status:${url}`;
 
       if (!statusConnections[key]) {
-        const ws = new WebSocket(`wss://${proxy}/`);
-        createEventHandlers(ws, key, true);
-        statusConnections[key] = ws;
+        statusConnections[key] = {
+          url,
+          protocols: [],
+          attempts: 0,
+          timer: null
+        };
+        openSocket(statusConnections[key], key, true);
       }
 
-      return statusConnections[key];
+      return statusConnections[key].ws;
     },
 
-    // Get or create a data connection
-    getConnection(proxy, reflector, module) {
-      const key = `${proxy}/${reflector}/${module}`;
+    // Get or create a data connection, offering the given subprotocols
+    getConnection(url, protocols = []) {
+      const key = connectionKey(url, protocols);
 
       if (!connections[key]) {
-        const ws = new WebSocket(`wss://${proxy}/${reflector}/${module}`);
-        ws.binaryType = "arraybuffer";
-        createEventHandlers(ws, key, false);
-
         connections[key] = {
-          ws,
-          refCount: 0
+          url,
+          protocols,
+          refCount: 0,
+          attempts: 0,
+          timer: null
         };
+        openSocket(connections[key], key, false);
       }
 
       connections[key].refCount++;
       return connections[key].ws;
     },
 
-    // Register a listener for a connection
-    registerListener(proxy, reflector, module, listenerObj, isStatus = false) {
-      const key = isStatus ? `status:${proxy}` : `${proxy}/${reflector}/${module}`;
+    // Register a listener for a connection, data connections also by their subprotocols
+    registerListener(url, listenerObj, isStatus = false, protocols = []) {
+      const key = isStatus ? `status:${url}` : connectionKey(url, protocols);
 
       if (!listeners[key]) {
         listeners[key] = [];
@@ -91,8 +160,8 @@ const WebSocketManager = (() => {
     },
 
     // Unregister a listener
-    unregisterListener(proxy, reflector, module, index, isStatus = false) {
-      const key = isStatus ? `status:${proxy}` : `${proxy}/${reflector}/${module}`;
+    unregisterListener(url, index, isStatus = false, protocols = []) {
+      const key = isStatus ? `status:${url}` : connectionKey(url, protocols);
 
       if (listeners[key] && listeners[key][index]) {
         listeners[key][index] = {}; // Empty the listener but keep the index
@@ -104,14 +173,294 @@ const WebSocketManager = (() => {
 
         // If no more references, close the connection
         if (connections[key].refCount <= 0) {
-          connections[key].ws.close();
-          delete connections[key];
+          closeConnection(connections, key);
         }
       }
+
+      // Stop retrying a dropped status connection nobody listens to anymore
+      if (isStatus && statusConnections[key] && statusConnections[key].timer && !hasListeners(key)) {
+        closeConnection(statusConnections, key);
+      }
+    }
+  };
+})();
+
+/**
+ * Decoder - Singleton wrapping the Codec2 WASM decoder
+ * Runs one shared decoder worker for all players and falls back to
+ * decoding on the main thread when module workers are unavailable
+ */
+const Decoder = (() => {
+  const pending = new Map();
+  let worker = null;
+  let nextId = 0;
+  let mainThreadReady = null;
+
+  // Convert 16 bit PCM to float samples
+  const pcmToFloat = (pcm) => {
+    const samples = new Float32Array(pcm.length);
+    for (let i = 0; i < pcm.length; i++) {
+      samples[i] = pcm[i] / 32768.0;
+    }
+    return samples;
+  };
+
+  const decodeOnMainThread = async (data, mode) => {
+    if (!mainThreadReady) mainThreadReady = init();
+    await mainThreadReady;
+    const decode = codec2[CODEC_MODES[mode].decoder];
+    if (!decode) throw new CodecUnsupportedError(mode);
+    return pcmToFloat(decode(data));
+  };
+
+  const fallBackToMainThread = (reason) => {
+    console.log(`Decoder worker unavailable, decoding on main thread: ${reason}`);
+    if (worker) worker.terminate();
+    worker = false;
+    pending.forEach(({ data, mode, resolve, reject }) => decodeOnMainThread(data, mode).then(resolve, reject));
+    pending.clear();
+  };
+
+  const startWorker = () => {
+    try {
+      worker = new Worker(new URL('./m17web-decoder-worker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+      fallBackToMainThread(err.message);
+      return;
+    }
+
+    worker.onmessage = (evt) => {
+      const { id, samples, error, unsupported } = evt.data;
+      const request = pending.get(id);
+      if (!request) return;
+      pending.delete(id);
+      if (error) {
+        request.reject(unsupported ? new CodecUnsupportedError(request.mode) : new Error(error));
+      } else {
+        request.resolve(samples);
+      }
+    };
+
+    worker.onerror = (evt) => {
+      evt.preventDefault();
+      fallBackToMainThread(evt.message || 'worker failed to load');
+    };
+  };
+
+  return {
+    // Decode Codec2 bytes of the given mode to float samples at 8 kHz
+    decode(data, mode = DEFAULT_CODEC_MODE) {
+      if (worker === null) startWorker();
+      if (!worker) return decodeOnMainThread(data, mode);
+
+      return new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { data, mode, resolve, reject });
+        worker.postMessage({ id, data, mode });
+      });
     }
   };
 })();
 
+/**
+ * PlayoutScheduler - Jitter buffer for decoded audio
+ * Queues chunks until the target depth is reached and schedules them
+ * back-to-back on the AudioContext timeline
+ */
+class PlayoutScheduler {
+  constructor(audioCtx, destination, options = {}) {
+    this.audioCtx = audioCtx;
+    this.destination = destination;
+    this.sampleRate = options.sampleRate || 8000;
+    this.targetDepth = options.targetDepth || 400; // ms
+    this.maxDepth = Math.max(options.maxDepth || 1500, this.targetDepth); // ms
+    this.underruns = 0;
+    this.dropped = 0;
+
+    this._pending = [];
+    this._pendingDuration = 0;
+    this._sources = new Set();
+    this._nextTime = 0;
+    this._buffering = true;
+    this._draining = false;
+    this._timer = null;
+  }
+
+  // Amount of audio (ms) queued or scheduled ahead of the playhead
+  get depth() {
+    const ahead = Math.max(0, this._nextTime - this.audioCtx.currentTime);
+    return (ahead + this._pendingDuration) * 1000;
+  }
+
+  // Queue a chunk of float samples for playback
+  push(samples) {
+    if (!samples.length) return;
+
+    // Underrun: ran dry mid-transmission, leave silence and rebuild depth
+    if (!this._buffering && !this._pending.length && this._nextTime < this.audioCtx.currentTime) {
+      this.underruns++;
+      this._buffering = true;
+    }
+
+    this._pending.push(samples);
+    this._pendingDuration += samples.length / this.sampleRate;
+
+    // Overrun: drop the oldest queued chunks until back at the target depth
+    if (this.depth > this.maxDepth) {
+      while (this._pending.length > 1 && this.depth > this.targetDepth) {
+        this._pendingDuration -= this._pending.shift().length / this.sampleRate;
+        this.dropped++;
+      }
+    }
+
+    if (this._buffering && this.depth < this.targetDepth) return;
+    this._buffering = false;
+    this._schedule();
+  }
+
+  // End of transmission: play out what is left, then prebuffer again
+  endOfStream() {
+    this._draining = true;
+    this._buffering = false;
+    this._schedule();
+  }
+
+  // Stop playback immediately and discard everything queued
+  reset() {
+    clearInterval(this._timer);
+    this._timer = null;
+    this._sources.forEach(source => {
+      source.onended = null;
+      source.stop();
+    });
+    this._sources.clear();
+    this._pending = [];
+    this._pendingDuration = 0;
+    this._nextTime = 0;
+    this._buffering = true;
+    this._draining = false;
+  }
+
+  _schedule() {
+    const now = this.audioCtx.currentTime;
+    // Only commit audio shortly ahead of the playhead so overruns can still drop it
+    const horizon = now + (this._draining ? Infinity : 0.1);
+
+    while (this._pending.length && this._nextTime < horizon) {
+      const samples = this._pending.shift();
+      this._pendingDuration -= samples.length / this.sampleRate;
+
+      const buffer = this.audioCtx.createBuffer(1, samples.length, this.sampleRate);
+      buffer.getChannelData(0).set(samples);
+
+      const source = this.audioCtx.createBufferSource();
+      source.buffer = buffer;
+      source.connect(this.destination);
+      source.onended = () => this._sources.delete(source);
+
+      const startTime = Math.max(this._nextTime, now);
+      source.start(startTime);
+      this._sources.add(source);
+      this._nextTime = startTime + buffer.duration;
+    }
+
+    if (!this._pending.length) {
+      this._pendingDuration = 0;
+      if (this._draining) {
+        this._draining = false;
+        this._buffering = true;
+      }
+      clearInterval(this._timer);
+      this._timer = null;
+    } else if (!this._timer) {
+      this._timer = setInterval(() => this._schedule(), 25);
+    }
+  }
+}
+
+/**
+ * WorkletPlayout - Main thread handle for the playout AudioWorklet
+ * Exposes the same interface as PlayoutScheduler
+ */
+class WorkletPlayout {
+  static _modules = new WeakMap();
+
+  // Load the processor module once per AudioContext
+  static load(audioCtx) {
+    if (!WorkletPlayout._modules.has(audioCtx)) {
+      const url = new URL('./m17web-playout-worklet.js', import.meta.url);
+      WorkletPlayout._modules.set(audioCtx, audioCtx.audioWorklet.addModule(url));
+    }
+    return WorkletPlayout._modules.get(audioCtx);
+  }
+
+  constructor(audioCtx, destination, options = {}) {
+    this._targetDepth = options.targetDepth || 400;
+    this._maxDepth = Math.max(options.maxDepth || 1500, this._targetDepth);
+    this.underruns = 0;
+    this.dropped = 0;
+
+    this.node = new AudioWorkletNode(audioCtx, 'm17web-playout', {
+      numberOfInputs: 0,
+      numberOfOutputs: 1,
+      outputChannelCount: [1],
+      processorOptions: { targetDepth: this._targetDepth, maxDepth: this._maxDepth }
+    });
+    this.node.port.onmessage = (evt) => {
+      if (evt.data.type === 'underrun') this.underruns++;
+      if (evt.data.type === 'dropped') this.dropped++;
+    };
+    this.node.connect(destination);
+  }
+
+  get targetDepth() { return this._targetDepth; }
+  set targetDepth(value) {
+    this._targetDepth = value;
+    this._postConfig();
+  }
+
+  get maxDepth() { return this._maxDepth; }
+  set maxDepth(value) {
+    this._maxDepth = value;
+    this._postConfig();
+  }
+
+  push(samples) {
+    if (!samples.length) return;
+    this.node.port.postMessage({ type: 'samples', samples }, [samples.buffer]);
+  }
+
+  endOfStream() {
+    this.node.port.postMessage({ type: 'end' });
+  }
+
+  reset() {
+    this.node.port.postMessage({ type: 'reset' });
+  }
+
+  _postConfig() {
+    this.node.port.postMessage({ type: 'config', targetDepth: this._targetDepth, maxDepth: this._maxDepth });
+  }
+}
+
+// Players on the page, kept in sync with registered themes and the colour scheme
+const players = new Set();
+
+// Status messages whose unattributable entries were already logged, all
+// players on a status connection see the same message event
+const loggedStatusEvents = new WeakSet();
+
+// Identity of a status message, the feed has no ids
+const messageKey = msg => `${msg.callsign}\n${msg.message}`;
+
+// theme="auto" follows the colour scheme of the operating system
+const darkScheme = window.matchMedia ? window.matchMedia("(prefers-color-scheme: dark)") : null;
+if (darkScheme && darkScheme.addEventListener) {
+  darkScheme.addEventListener("change", () => {
+    players.forEach(player => player.theme === "auto" && player._renderTheme());
+  });
+}
+
 /**
  * M17webPlayer - Custom HTML element for M17 audio streaming
  * Uses shared WebSocket connections for efficiency
@@ -123,26 +472,288 @@ export class M17webPlayer extends HTMLElement {
     this._statusListenerIndex = -1;
   }
 
-  static observedAttributes = ["proxy", "reflector", "module", "label", "theme"];
+  // Transport defaults, change with M17webPlayer.configure() before players connect
+  static defaults = {
+    scheme: 'wss',
+    basePath: '',
+    statusUrl: '{scheme}://{proxy}{basePath}/',
+    streamUrl: '{scheme}://{proxy}{basePath}/{reflector}/{module}'
+  };
+
+  static configure(options) {
+    Object.assign(M17webPlayer.defaults, options);
+  }
+
+  // The Media Session is page wide, the player started last owns it
+  static _mediaSessionPlayer = null;
+
+  // Named themes, each value can still be overridden with a --m17-<name> custom property
+  static themes = {
+    dark: {
+      "background": "#353535",
+      "background-alt": "#303030",
+      "text": "#ffffff",
+      "bar": "rgb(34, 34, 34)",
+      "track": "rgba(255, 255, 255, 0.3)",
+      "accent": "#4285F4",
+      "accent-hover": "#3367D6",
+      "tx-background": "#551515",
+      "tx-background-alt": "#501010",
+      "tx-text": "#ffffff",
+      "tx-glow": "rgba(255, 0, 0, 1)"
+    },
+    light: {
+      "background": "#F5F5F5",
+      "background-alt": "#FFFFFF",
+      "text": "#333333",
+      "bar": "rgb(234, 234, 234)",
+      "track": "rgba(0, 0, 0, 0.2)",
+      "accent": "#4285F4",
+      "accent-hover": "#3367D6",
+      "tx-background": "#F58585",
+      "tx-background-alt": "#FF8F8F",
+      "tx-text": "#333333",
+      "tx-glow": "rgba(255, 0, 0, 1)"
+    }
+  };
+
+  // Add a named theme, values missing from it are taken from the base theme
+  static registerTheme(name, values, base = "dark") {
+    M17webPlayer.themes[name] = { ...M17webPlayer.themes[base], ...values };
+    players.forEach(player => player.theme === name && player._renderTheme());
+  }
+
+  // Shadow parts for styling from outside with ::part()
+  static parts = ["card", "header", "title", "callsign", "status", "footer", "play-button", "record-button", "volume-slider", "message-list", "callsign-details", "stream-info"];
+
+  static observedAttributes = ["proxy", "reflector", "module", "label", "theme", "scheme", "base-path", "status-url", "stream-url", "jitter-buffer", "jitter-buffer-max", "volume", "muted", "autoplay", "history-length", "recordings-length", "record-mode", "record-preroll", "stream-format", "agc", "agc-target", "voice-filter", "squelch", "pan", "solo", "visualizer", "notify", "watchlist", "watch-sound", "watch-autoplay", "lang", "callsign-info", "callsign-database", "audio-events"];
 
   // Properties
   proxy = '';
   reflector = '';
   module = '';
   label = '';
-  theme = 'dark'; // default theme
+  theme = 'dark'; // a name from M17webPlayer.themes or 'auto'
+  jitterBuffer = 400; // target playout depth in ms
+  jitterBufferMax = 1500; // depth in ms above which the oldest audio is dropped
+  historyLength = 20; // number of QSOs kept in the history
+  recordingsLength = 10; // number of recordings kept, each holds its WAV in memory
+  streamFormat = 'json'; // 'binary' offers binary frames, which the proxy has to support
+  recordMode = 'transmission'; // 'transmission' splits files per QSO, 'continuous' records one file
 
   // Private properties
   _ws = null;
   _statusWs = null;
   _audioCtx = null;
-  _receive_buffer = new Uint8Array(0);
+  _gainNode = null;
+  _chain = null;
+  _strip = null; // channel strip on the shared mixer
+  _pan = 0;
+  _solo = false;
+  _chainOptions = { voiceFilter: false, squelch: null, agc: false, agcTarget: -18 };
+  _clipTimer = null;
+  _analyser = null;
+  _visualizer = null;
+  _notify = new Set(); // 'activity' and/or 'messages'
+  _audioEvents = false; // dispatch m17-audio-chunk, off unless asked for
+  _watchlist = [];
+  _watchMatch = null; // watchlist pattern matching the transmission in progress
+  _resolver = null; // callsign resolver set through the resolver property
+  _playout = null;
+  _playoutReady = null;
+  _receive_buffer = new Uint8Array(1024); // preallocated, grows if a frame doesn't fit
+  _receive_length = 0;
+  _codecMode = DEFAULT_CODEC_MODE;
   _gain = 3;
   _src_call = '';
   _playerSymbol = '▶';
   _playerActive = false;
   _wsListenerIndex = -1;
   _statusListenerIndex = -1;
+  _statusUrl = null;
+  _streamUrl = null;
+  _streamProtocols = []; // subprotocols offered on the stream connection
+  _txCallsign = null; // callsign of the transmission in progress
+  _lsf = null; // link setup of the stream transmission in progress
+  _metaText = new MetaText();
+  _txStart = null;
+  _txChannel = null; // reflector and module the transmission in progress is on
+  _statusChannel = null; // status URL, reflector and module the status listener follows
+  _seenMessages = null;
+  _messages = []; // messages of the latest status update
+  _messageKeys = null; // their keys joined, to tell whether they changed
+  _statusKey = null; // catalog key of the connection status shown
+  _renderedLanguage = null; // language the UI strings were last set in
+  _unwatchLanguage = null;
+  _state = 'idle';
+  _lastHeard = null;
+  _muted = false;
+  _autoplayHandler = null;
+  _autoplayReady = false; // autoplay saw its gesture, play as soon as there is a channel
+  _tuning = false; // reflector and module are being changed together
+  _history = [];
+  _recorder = new Recorder();
+  _recordingArmed = false;
+  _recordingStart = null;
+  _recordingCallsign = null;
+  _recordingChannel = null; // reflector and module the recording started on
+  _recordings = [];
+  _diagnostics = { badStatusEntries: 0, badFrames: 0, badLsfs: 0, lastError: null };
+
+  // Read-only state
+  get state() { return this._state; }
+  get currentCallsign() { return this._txCallsign; }
+  get lastHeard() { return this._lastHeard; }
+  get history() { return this._history.slice(); }
+  get recording() { return this._recordingArmed; }
+  get recordings() { return this._recordings.slice(); }
+  get diagnostics() { return { ...this._diagnostics }; }
+  get codecMode() { return this._codecMode; }
+  get streamInfo() { return this._lsf ? { ...this._lsf, text: this._metaText.text } : null; }
+
+  // Volume (0-4) and mute, reflected as attributes
+  get volume() { return this._gain; }
+  set volume(value) { this.setAttribute("volume", value); }
+
+  get muted() { return this._muted; }
+  set muted(value) { this.toggleAttribute("muted", Boolean(value)); }
+
+  // Stereo position (-1 left to 1 right) and solo on the shared mixer
+  get pan() { return this._pan; }
+  set pan(value) { this.setAttribute("pan", value); }
+
+  get solo() { return this._solo; }
+  set solo(value) { this.toggleAttribute("solo", Boolean(value)); }
+
+  // Callsign patterns to be alerted about, reflected to the watchlist attribute
+  get watchlist() { return this._watchlist.slice(); }
+  set watchlist(patterns) { this.setAttribute("watchlist", [].concat(patterns).join(" ")); }
+
+  // Callsign details lookup, anything with a resolve(callsign) method returning
+  // a promise of { flag, name, iso, country }. Without one the callsign-info
+  // and callsign-database attributes pick a shared CallsignResolver
+  get resolver() {
+    if (this._resolver) return this._resolver;
+    const database = this.getAttribute("callsign-database");
+    if (database) return CallsignResolver.forDatabase(database);
+    return this.hasAttribute("callsign-info") ? CallsignResolver.shared : null;
+  }
+  set resolver(resolver) {
+    this._resolver = resolver || null;
+    if (this.shadowRoot) this._refreshCallsignDetails();
+  }
+
+  // Output device chosen for this reflector/module, '' for the default
+  get outputDevice() {
+    return this._strip ? this._strip.outputDevice : this._loadOutputDevice();
+  }
+
+  // Remember an output device for this reflector/module and switch to it,
+  // resolves with the device actually playing
+  setOutputDevice(deviceId) {
+    try {
+      if (deviceId) {
+        localStorage.setItem(this._outputDeviceKey(), deviceId);
+      } else {
+        localStorage.removeItem(this._outputDeviceKey());
+      }
+    } catch (err) {
+      console.warn(`Output device not saved: ${err.message}`);
+    }
+    return this._applyOutputDevice(deviceId || '');
+  }
+
+  // Playback control
+  play() {
+    if (this._playerActive || !this.shadowRoot) return;
+
+    // Without a usable stream URL there is nothing to play, the card says why
+    this._state = 'connecting';
+    if (!this._connectToServer()) {
+      if (this._state === 'connecting') this._state = 'idle';
+      return;
+    }
+
+    this._playerActive = true;
+    if (!this._audioCtx) {
+      this._audioCtx = Mixer.context;
+    }
+    if (this._audioCtx.state === "suspended") {
+      this._audioCtx.resume();
+    }
+    if (!this._playoutReady) {
+      this._strip = Mixer.createStrip();
+      this._strip.pan = this._pan;
+      this._strip.solo = this._solo;
+      this._strip.onOutputChange = () => this._showOutputNotice();
+      this._applyOutputDevice(this._loadOutputDevice());
+      this._chain = new AudioChain(this._audioCtx, {
+        ...this._chainOptions,
+        onClip: () => this._showClip()
+      });
+      this._chain.connect(this._strip.input);
+      this._analyser = this._chain.analyser;
+      this._visualizer.analyser = this._analyser;
+      this._gainNode = this._chain.volume;
+      this._applyGain();
+      this._playoutReady = this._createPlayout().then(playout => (this._playout = playout));
+    }
+    this._chain.start();
+    this._visualizer.start();
+    this._claimMediaSession();
+    this._playerSymbol = "⏸";
+    this._renderPlayButton();
+  }
+
+  stop() {
+    if (!this._playerActive) return;
+    this._autoplayReady = false;
+    this.stopRecording();
+
+    // Just unregister our listener, don't close the shared connection
+    if (this._wsListenerIndex >= 0) {
+      WebSocketManager.unregisterListener(this._streamUrl, this._wsListenerIndex, false, this._streamProtocols);
+      this._wsListenerIndex = -1;
+      this._ws = null;
+    }
+
+    this._playerActive = false;
+    this._state = 'idle';
+    this._playerSymbol = "▶";
+    if (this._playout) this._playout.reset();
+    this._chain.stop();
+    this._visualizer.stop();
+    this._recorder.clearPreRoll();
+    this._receive_length = 0;
+    this._clearLsf();
+
+    // Update UI
+    this.shadowRoot.getElementById("codecMode").textContent = "";
+    this._setConnectionStatus(null, "status-disconnected");
+    this._renderPlayButton();
+    this._updateMediaSession();
+  }
+
+  // Switch reflector and module in one step, so no connection is opened to
+  // the new reflector with the old module in between
+  tune(reflector, module) {
+    this._tuning = true;
+    try {
+      this.setAttribute("reflector", reflector);
+      this.setAttribute("module", module);
+    } finally {
+      this._tuning = false;
+    }
+    this._retuned();
+  }
+
+  toggle() {
+    if (this._playerActive) {
+      this.stop();
+    } else {
+      this.play();
+    }
+  }
 
   // Lifecycle methods
   attributeChangedCallback(name, oldValue, newValue) {
@@ -155,243 +766,1365 @@ export class M17webPlayer extends HTMLElement {
         break;
       case "reflector":
         this.reflector = newValue;
-        this._reconnectIfNeeded();
+        if (!this._tuning) this._retuned();
         break;
       case "module":
         this.module = newValue;
+        if (!this._tuning) this._retuned();
+        break;
+      case "scheme":
+      case "base-path":
+      case "status-url":
+      case "stream-url":
         this._reconnectIfNeeded();
         break;
       case "label":
         this.label = newValue;
         break;
       case "theme":
-        this.theme = newValue;
-        this.resetTheme();
+        this.theme = newValue || 'dark';
+        this._renderTheme();
+        break;
+      case "jitter-buffer":
+        this.jitterBuffer = parseInt(newValue, 10) || 400;
+        if (this._playout) this._playout.targetDepth = this.jitterBuffer;
+        break;
+      case "jitter-buffer-max":
+        this.jitterBufferMax = parseInt(newValue, 10) || 1500;
+        if (this._playout) this._playout.maxDepth = Math.max(this.jitterBufferMax, this.jitterBuffer);
+        break;
+      case "volume": {
+        const volume = parseFloat(newValue);
+        this._gain = Number.isFinite(volume) ? Math.min(Math.max(volume, 0), 4) : 3;
+        this._applyGain();
+        break;
+      }
+      case "muted":
+        this._muted = newValue !== null;
+        this._applyGain();
+        break;
+      case "pan": {
+        const pan = parseFloat(newValue);
+        this._pan = Number.isFinite(pan) ? Math.min(Math.max(pan, -1), 1) : 0;
+        if (this._strip) this._strip.pan = this._pan;
+        break;
+      }
+      case "solo":
+        this._solo = newValue !== null;
+        if (this._strip) this._strip.solo = this._solo;
+        break;
+      case "notify":
+        // A bare notify attribute turns on both kinds
+        this._notify = new Set(newValue === "" ? ["activity", "messages"] : (newValue || "").split(/[\s,]+/).filter(Boolean));
+        if (this._notify.size) Notifier.requestPermission();
+        break;
+      case "lang":
+        if (this.shadowRoot) this._applyLanguage();
+        break;
+      case "watchlist":
+        this._watchlist = parseWatchlist(newValue);
         break;
+      case "audio-events":
+        this._audioEvents = newValue !== null;
+        break;
+      case "callsign-info":
+      case "callsign-database":
+        if (this.shadowRoot) this._refreshCallsignDetails();
+        break;
+      case "visualizer":
+        if (this._visualizer) this._applyVisualizer();
+        break;
+      case "autoplay":
+        if (this.isConnected) this._setupAutoplay();
+        break;
+      case "agc":
+        this._configureChain({ agc: newValue !== null });
+        break;
+      case "agc-target": {
+        const target = parseFloat(newValue);
+        this._configureChain({ agcTarget: Number.isFinite(target) ? Math.min(target, 0) : -18 });
+        break;
+      }
+      case "voice-filter":
+        this._configureChain({ voiceFilter: newValue !== null });
+        break;
+      case "squelch": {
+        // A bare squelch attribute uses a typical noise floor
+        const threshold = newValue === "" ? -50 : parseFloat(newValue);
+        this._configureChain({ squelch: newValue !== null && Number.isFinite(threshold) ? threshold : null });
+        break;
+      }
+      case "stream-format":
+        this.streamFormat = newValue === "binary" ? "binary" : "json";
+        this._reconnectIfNeeded();
+        break;
+      case "record-mode":
+        this.recordMode = newValue === "continuous" ? "continuous" : "transmission";
+        break;
+      case "record-preroll": {
+        const preRoll = parseFloat(newValue);
+        this._recorder.preRoll = Number.isFinite(preRoll) && preRoll >= 0 ? preRoll : 5;
+        break;
+      }
+      case "history-length":
+        this.historyLength = Math.max(parseInt(newValue, 10) || 0, 0) || 20;
+        this._history = this._history.slice(-this.historyLength);
+        this._renderHistory();
+        break;
+      case "recordings-length":
+        this.recordingsLength = Math.max(parseInt(newValue, 10) || 0, 0) || 10;
+        this._trimRecordings();
+        this._renderRecordings();
+        break;
+    }
+  }
+
+  connectedCallback() {
+    players.add(this);
+
+    // Create the UI, unless the element was only moved in the document
+    if (!this.shadowRoot) {
+      this._createUI();
+      this._renderHistory();
+    }
+
+    if (this._strip) Mixer.addStrip(this._strip);
+
+    // Connect to status server
+    this._connectToServerStatus();
+
+    this._setupAutoplay();
+
+    // Follow the language inherited from <html lang> or an ancestor
+    this._unwatchLanguage = I18n.watch(() => {
+      if (this._language() !== this._renderedLanguage) this._applyLanguage();
+    });
+  }
+
+  disconnectedCallback() {
+    players.delete(this);
+    // A removed card must not keep its audio graph and timers running
+    this.stop();
+    if (this._unwatchLanguage) this._unwatchLanguage();
+    this._unwatchLanguage = null;
+    this._disconnectWebSockets();
+    this._removeAutoplayHandler();
+    if (this._strip) Mixer.removeStrip(this._strip);
+    this._releaseMediaSession();
+  }
+
+  // Browsers only allow audio after a user gesture, so autoplay starts on the first one
+  _setupAutoplay() {
+    this._removeAutoplayHandler();
+    if (!this.hasAttribute("autoplay") || this._playerActive) return;
+    this._playOnNextGesture();
+  }
+
+  _playOnNextGesture() {
+    this._removeAutoplayHandler();
+    this._autoplayHandler = () => {
+      this._removeAutoplayHandler();
+      this._autoplayReady = true;
+      this.play();
+    };
+    ["pointerdown", "keydown", "touchend"].forEach(type => {
+      document.addEventListener(type, this._autoplayHandler, { capture: true });
+    });
+  }
+
+  _removeAutoplayHandler() {
+    if (!this._autoplayHandler) return;
+    ["pointerdown", "keydown", "touchend"].forEach(type => {
+      document.removeEventListener(type, this._autoplayHandler, { capture: true });
+    });
+    this._autoplayHandler = null;
+  }
+
+  _configureChain(options) {
+    Object.assign(this._chainOptions, options);
+    if (this._chain) this._chain.configure(this._chainOptions);
+  }
+
+  // Flash the clip indicator while the output clips
+  _showClip() {
+    if (!this.shadowRoot) return;
+    const clipIndicator = this.shadowRoot.getElementById("clipIndicator");
+    clipIndicator.style.display = "inline";
+    clearTimeout(this._clipTimer);
+    this._clipTimer = setTimeout(() => (clipIndicator.style.display = "none"), 1000);
+  }
+
+  _applyVisualizer() {
+    this._visualizer.mode = this.getAttribute("visualizer");
+    if (this._playerActive) this._visualizer.start();
+  }
+
+  // Output device selection, remembered per reflector/module
+  _outputDeviceKey() {
+    return `m17web-output-device:${this.reflector}/${this.module}`;
+  }
+
+  _loadOutputDevice() {
+    try {
+      return localStorage.getItem(this._outputDeviceKey()) || '';
+    } catch (err) {
+      return '';
+    }
+  }
+
+  _applyOutputDevice(deviceId) {
+    if (!this._strip) return Promise.resolve('');
+    return Mixer.setOutputDevice(this._strip, deviceId);
+  }
+
+  // Tell the listener when the chosen device is missing and the default plays instead
+  _showOutputNotice() {
+    if (!this.shadowRoot || !this._strip) return;
+    const outputNotice = this.shadowRoot.getElementById("outputNotice");
+    const missing = this._strip.outputDevice !== this._strip.activeOutputDevice;
+    outputNotice.style.display = missing ? "inline" : "none";
+  }
+
+  async _renderOutputDevices() {
+    const outputList = this.shadowRoot.getElementById("outputList");
+    let devices = [];
+    try {
+      devices = await Mixer.outputDevices();
+    } catch (err) {
+      console.warn(`Could not list output devices: ${err.message}`);
+    }
+
+    outputList.innerHTML = "";
+    const current = this.outputDevice;
+    [{ deviceId: '', label: this._t("default-output") }, ...devices].forEach((device, index) => {
+      const item = document.createElement("button");
+      item.className = "output-item";
+      item.classList.toggle("selected", device.deviceId === current);
+      item.textContent = device.label || this._t("output-number", { number: index });
+      item.onclick = () => {
+        this.setOutputDevice(device.deviceId);
+        this._togglePanel("outputButton", "outputList", false);
+      };
+      outputList.appendChild(item);
+    });
+
+    // Firefox only reveals output devices the user picked in its own prompt
+    if (navigator.mediaDevices && navigator.mediaDevices.selectAudioOutput) {
+      const choose = document.createElement("button");
+      choose.className = "output-item";
+      choose.textContent = this._t("choose-device");
+      choose.onclick = async () => {
+        try {
+          const device = await navigator.mediaDevices.selectAudioOutput();
+          this.setOutputDevice(device.deviceId);
+        } catch (err) {
+          console.warn(`No output device chosen: ${err.message}`);
+        }
+        this._togglePanel("outputButton", "outputList", false);
+      };
+      outputList.appendChild(choose);
+    }
+  }
+
+  // Volume stays ahead of the limiter, muting is up to the mixer so it works with solo
+  _applyGain() {
+    if (this._gainNode) {
+      this._gainNode.gain.value = this._gain;
+    }
+    if (this._strip) {
+      this._strip.muted = this._muted;
+    }
+    this._renderVolume();
+  }
+
+  // Slider position and its spoken value, as a share of the slider range
+  _renderVolume() {
+    if (!this.shadowRoot) return;
+    const slider = this.shadowRoot.getElementById("playerSlider");
+    slider.value = this._gain;
+    const percent = I18n.formatPercent(this._language(), this._gain / Number(slider.max));
+    slider.setAttribute("aria-valuetext", this._t("volume-value", { percent }));
+  }
+
+  // Theme methods
+  resetTheme() {
+    this._renderTheme(false);
+  }
+
+  txTheme() {
+    this._renderTheme(true);
+  }
+
+  // Name of the theme in use, resolving 'auto' and unknown names
+  _themeName() {
+    if (this.theme === "auto") {
+      return darkScheme && !darkScheme.matches ? "light" : "dark";
+    }
+    return M17webPlayer.themes[this.theme] ? this.theme : "dark";
+  }
+
+  // Write the theme's custom properties and set the card classes,
+  // tx defaults to the current transmission state
+  _renderTheme(tx = this._txCallsign !== null || this._lsf !== null) {
+    if (!this.shadowRoot) return;
+    const card = this.shadowRoot.getElementById('playerCard');
+    if (!card) return;
+
+    const name = this._themeName();
+    const properties = Object.entries(M17webPlayer.themes[name])
+      .map(([key, value]) => `--_${key}: var(--m17-${key}, ${value});`)
+      .join("\n        ");
+    this.shadowRoot.getElementById("themeStyle").textContent = `
+      .player-card {
+        ${properties}
+      }
+    `;
+
+    card.className = `player-card ${name}-theme`;
+    card.classList.toggle("tx", tx);
+    card.classList.toggle("watch-match", this._watchMatch !== null);
+    this._visualizer.refreshColors();
+  }
+
+  _renderPlayButton() {
+    const playerButton = this.shadowRoot.getElementById("playerButton");
+    playerButton.textContent = this._playerSymbol;
+    playerButton.setAttribute("aria-pressed", String(this._playerActive));
+  }
+
+  // Open or close a panel below the card; closed panels are inert so their
+  // links and buttons drop out of the tab order
+  _togglePanel(buttonId, listId, open) {
+    const list = this.shadowRoot.getElementById(listId);
+    const visible = list.classList.toggle("visible", open);
+    list.inert = !visible;
+    this.shadowRoot.getElementById(buttonId).setAttribute("aria-expanded", String(visible));
+  }
+
+  // Localization
+  _language() {
+    return I18n.languageOf(this);
+  }
+
+  _t(key, params) {
+    return I18n.t(this._language(), key, params);
+  }
+
+  // Set every UI string for the current language
+  _applyLanguage() {
+    const shadow = this.shadowRoot;
+    this._renderedLanguage = this._language();
+    shadow.getElementById("cardTitle").textContent = this._t("title");
+    shadow.getElementById("playerLogo").title = this._t("logo");
+    shadow.getElementById("playerLogo").alt = this._t("logo");
+    shadow.getElementById("playerCard").setAttribute("aria-label", this._t("card-label", { reflector: this.reflector, module: this.module }));
+    shadow.getElementById("playerButton").setAttribute("aria-label", this._t("play"));
+    shadow.getElementById("playerSlider").setAttribute("aria-label", this._t("volume"));
+    this._renderVolume();
+    shadow.getElementById("messageIndicator").setAttribute("aria-label", this._t("messages"));
+    shadow.getElementById("messageIndicator").title = this._t("messages");
+    shadow.getElementById("historyIndicator").setAttribute("aria-label", this._t("qso-history"));
+    shadow.getElementById("recordingsIndicator").setAttribute("aria-label", this._t("recordings"));
+    shadow.getElementById("recordButton").setAttribute("aria-label", this._t("record"));
+    shadow.getElementById("outputButton").setAttribute("aria-label", this._t("output-device"));
+    shadow.getElementById("callsignLabel").textContent = this._t("callsign");
+    shadow.getElementById("historyIndicator").title = this._t("qso-history");
+    shadow.getElementById("recordingsIndicator").title = this._t("recordings");
+    shadow.getElementById("recordButton").title = this._t("record");
+    shadow.getElementById("outputButton").title = this._t("output-device");
+    shadow.getElementById("clipIndicator").textContent = this._t("clip");
+    shadow.getElementById("clipIndicator").title = this._t("clip-hint");
+    shadow.getElementById("outputNotice").textContent = this._t("default-output");
+    shadow.getElementById("outputNotice").title = this._t("default-output-hint");
+
+    const connectionStatus = shadow.getElementById("connectionStatus");
+    this._setConnectionStatus(this._statusKey, connectionStatus.className, connectionStatus.title);
+    this._renderLastHeard();
+    this._renderHistory();
+    this._refreshCallsignDetails();
+    this._renderStreamInfo();
+  }
+
+  // Callsign details
+  // Fill an element with the flag and operator name of a callsign, the
+  // country goes into the tooltip. Lookups may be slow, so the result is
+  // dropped if the element shows another callsign by then
+  _renderCallsignDetails(element, callsign) {
+    const resolver = this.resolver;
+    element.dataset.callsign = callsign || "";
+    element.textContent = "";
+    element.removeAttribute("title");
+    if (!resolver || !callsign) return;
+
+    Promise.resolve(resolver.resolve(callsign))
+      .then((details) => {
+        if (!details || element.dataset.callsign !== callsign) return;
+        const country = details.country || I18n.regionName(this._language(), details.iso);
+        element.textContent = [details.flag, details.name].filter(Boolean).join(" ");
+        const title = [details.name, country].filter(Boolean).join(", ");
+        if (title) element.title = title;
+      })
+      .catch((err) => {
+        console.warn(`Callsign details for ${callsign} not resolved: ${err.message}`);
+      });
+  }
+
+  _refreshCallsignDetails() {
+    const callsign = this._txCallsign ?? (this._lsf && this._lsfCallsign());
+    this._renderCallsignDetails(this.shadowRoot.getElementById("callsignDetails"), callsign);
+    if (this._seenMessages) this._renderMessages();
+  }
+
+  // Connection management
+  // Follow a new reflector and/or module: relabel, reconnect once, pick the
+  // output device remembered for it, and start if autoplay was only waiting
+  // for a channel
+  _retuned() {
+    if (this.shadowRoot) this._applyLanguage();
+    this._reconnectIfNeeded();
+    if (this._strip) this._applyOutputDevice(this._loadOutputDevice());
+    if (this._autoplayReady && !this._playerActive && this.hasAttribute("autoplay")) this.play();
+  }
+
+  _reconnectIfNeeded() {
+    // Not connected yet, connectedCallback opens the connections
+    if (!this.shadowRoot) return;
+
+    if (this._playerActive && this.proxy && this.reflector && this.module) {
+      this._disconnectWebSockets();
+      this._connectToServerStatus();
+      this._connectToServer();
+    } else if (!this._playerActive) {
+      this._connectToServerStatus();
+    }
+  }
+
+  _buildUrl(kind) {
+    return M17webPlayer.buildUrl(kind, this, this);
+  }
+
+  // Build the status or stream URL from an element's transport attributes
+  // (scheme, base-path, status-url, stream-url) and M17webPlayer.defaults
+  static buildUrl(kind, element, { proxy, reflector = '', module = '' }) {
+    const defaults = M17webPlayer.defaults;
+    const scheme = (element.getAttribute("scheme") || defaults.scheme).toLowerCase();
+    const basePath = (element.getAttribute("base-path") ?? defaults.basePath).replace(/^\/*/, "/").replace(/\/+$/, "");
+    const template = element.getAttribute(`${kind}-url`) || defaults[`${kind}Url`];
+
+    if (scheme !== "ws" && scheme !== "wss") {
+      throw new Error(`unsupported scheme "${scheme}"`);
+    }
+
+    const values = {
+      scheme,
+      proxy,
+      basePath,
+      reflector: encodeURIComponent(reflector),
+      module: encodeURIComponent(module)
+    };
+    const url = template.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in values)) throw new Error(`unknown placeholder ${match} in ${kind} URL`);
+      return values[name];
+    });
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (err) {
+      throw new Error(`malformed ${kind} URL "${url}"`);
+    }
+    if (parsed.protocol !== "ws:" && parsed.protocol !== "wss:") {
+      throw new Error(`${kind} URL "${url}" is not a WebSocket URL`);
+    }
+    return parsed.href;
+  }
+
+  _showUrlError(err) {
+    console.error(`Invalid URL: ${err.message}`);
+    this._state = 'error';
+    if (!this.shadowRoot) return;
+    this._setConnectionStatus("invalid-url", "status-error", err.message);
+  }
+
+  // Show a connection status by catalog key (null for none), so it can be translated again
+  _setConnectionStatus(key, className, title = "") {
+    this._statusKey = key;
+    const connectionStatus = this.shadowRoot.getElementById("connectionStatus");
+    connectionStatus.textContent = key ? this._t(key) : "";
+    connectionStatus.title = title;
+    connectionStatus.className = className;
+  }
+
+  _disconnectWebSockets() {
+    // Unregister listeners but don't close the shared connections
+    if (this._wsListenerIndex >= 0) {
+      WebSocketManager.unregisterListener(this._streamUrl, this._wsListenerIndex, false, this._streamProtocols);
+      this._wsListenerIndex = -1;
+    }
+
+    if (this._statusListenerIndex >= 0) {
+      WebSocketManager.unregisterListener(this._statusUrl, this._statusListenerIndex, true);
+      this._statusListenerIndex = -1;
+    }
+
+    this._ws = null;
+    this._statusWs = null;
+  }
+
+  _connectToServerStatus() {
+    if (!this.proxy) return;
+
+    const shadow = this.shadowRoot;
+    const self = this;
+
+    // Unregister previous listener if exists
+    if (this._statusListenerIndex >= 0) {
+      WebSocketManager.unregisterListener(this._statusUrl, this._statusListenerIndex, true);
+      this._statusListenerIndex = -1;
+    }
+
+    try {
+      this._statusUrl = this._buildUrl("status");
+    } catch (err) {
+      this._switchStatusChannel(null);
+      this._showUrlError(err);
+      return;
     }
+    this._switchStatusChannel(`${this._statusUrl} ${this.reflector} ${this.module}`);
+
+    // Create listener object
+    const statusListener = {
+      onopen: function() {
+        self._emitConnectionState("open", "status");
+        if (!self._playerActive) {
+          self._setConnectionStatus(null, "status-disconnected");
+        }
+      },
+      onclose: function() {
+        self._emitConnectionState("close", "status");
+      },
+      onerror: function() {
+        self._emitConnectionState("error", "status");
+      },
+      onreconnecting: function(info) {
+        self._emitConnectionState("reconnecting", "status", info);
+        if (!self._playerActive) {
+          self._setConnectionStatus("reconnecting", "status-reconnecting");
+        }
+      },
+      onmessage: function(evt) {
+        let status;
+        try {
+          status = parseStatus(evt.data);
+        } catch (err) {
+          self._reportProtocolError("status", err.message);
+          return;
+        }
+
+        // Skip bad entries, counting only ours. Entries that don't say which
+        // module they are for belong to no player and are logged once
+        status.errors.forEach((error) => {
+          if (!error.reflector || !error.module) {
+            if (!loggedStatusEvents.has(evt)) console.warn(`Protocol error on ${self._statusUrl}: status: ${error.message}`);
+          } else if (error.reflector == self.reflector && error.module == self.module) {
+            self._reportProtocolError("status", error.message);
+          }
+        });
+        loggedStatusEvents.add(evt);
+
+        status.entries.forEach((entry) => {
+          if (entry.reflector == self.reflector && entry.module == self.module) {
+            self._lastHeard = entry.last_qso_call;
+            self._renderLastHeard();
+            self._updateTransmission(entry);
+            self._updateMessages(entry.messages || []);
+
+            if (entry.active_qso) {
+              shadow.getElementById("playerCallsign").textContent = entry.last_qso_call;
+              if (shadow.getElementById("callsignDetails").dataset.callsign !== entry.last_qso_call) {
+                self._renderCallsignDetails(shadow.getElementById("callsignDetails"), entry.last_qso_call);
+              }
+              self.txTheme();
+              // Visual feedback - pulse animation
+              const callsignEl = shadow.getElementById("playerCallsign");
+              callsignEl.classList.add("pulse");
+              setTimeout(() => callsignEl.classList.remove("pulse"), 300);
+            } else if (!self._lsf) {
+              // The stream's LSF already told who is on air, the status feed lags behind
+              shadow.getElementById("playerCallsign").textContent = self.label;
+              self._renderCallsignDetails(shadow.getElementById("callsignDetails"), null);
+              self.resetTheme();
+            }
+
+            // Handle messages, the list is only rebuilt when it changed
+            const messages = entry.messages || [];
+            const messageKeys = messages.map(messageKey).join("\n\n");
+            if (messageKeys !== self._messageKeys) {
+              self._messages = messages;
+              self._messageKeys = messageKeys;
+              self._renderMessages();
+            }
+          }
+        });
+      }
+    };
+
+    // Register the listener and get the shared connection
+    this._statusListenerIndex = WebSocketManager.registerListener(
+      this._statusUrl, statusListener, true
+    );
+    this._statusWs = WebSocketManager.getStatusConnection(this._statusUrl);
+  }
+
+  // Returns false if no connection could be set up
+  _connectToServer() {
+    if (!this.proxy || !this.reflector || !this.module) {
+      console.error("Cannot connect: missing proxy, reflector, or module");
+      return false;
+    }
+
+    const shadow = this.shadowRoot;
+    const self = this;
+
+    // Unregister previous listener if exists
+    if (this._wsListenerIndex >= 0) {
+      WebSocketManager.unregisterListener(this._streamUrl, this._wsListenerIndex, false, this._streamProtocols);
+      this._wsListenerIndex = -1;
+    }
+
+    try {
+      this._streamUrl = this._buildUrl("stream");
+    } catch (err) {
+      this._showUrlError(err);
+      return false;
+    }
+
+    // Create listener object
+    const wsListener = {
+      onopen: function() {
+        self._emitConnectionState("open", "stream");
+        self._state = 'streaming';
+        self._setCodecMode(self._codecMode);
+        self._setConnectionStatus("streaming", "status-connected");
+      },
+      onclose: function() {
+        self._emitConnectionState("close", "stream");
+        self._state = 'idle';
+        shadow.getElementById("codecMode").textContent = "";
+        self._setConnectionStatus(null, "status-disconnected");
+        self._playerActive = false;
+        self._playerSymbol = "▶";
+        self._renderPlayButton();
+        if (self._playout) self._playout.reset();
+        if (self._chain) self._chain.stop();
+        self._visualizer.stop();
+        self._clearLsf();
+      },
+      onerror: function(evt) {
+        self._emitConnectionState("error", "stream");
+        self._state = 'error';
+        self._setConnectionStatus("error", "status-error");
+      },
+      onreconnecting: function(info) {
+        self._emitConnectionState("reconnecting", "stream", info);
+        self._state = 'reconnecting';
+        self._setConnectionStatus("reconnecting", "status-reconnecting");
+        // Drop half-received audio, the stream restarts after reconnecting
+        self._receive_length = 0;
+        if (self._playout) self._playout.reset();
+        self._clearLsf();
+      },
+      onmessage: function(evt) {
+        let received_msg;
+        try {
+          received_msg = parseStreamFrame(evt.data);
+        } catch (err) {
+          self._reportProtocolError("stream", err.message);
+          return;
+        }
+        if (received_msg.lsfError) self._reportProtocolError("lsf", received_msg.lsfError);
+        // Decode what was buffered in the old mode before switching. Frames
+        // that don't state a mode stay in the one of the running transmission
+        const codecMode = received_msg.codecMode ?? self._codecMode;
+        if (codecMode !== self._codecMode) {
+          self._flushReceived(false);
+          self._setCodecMode(codecMode);
+        }
+
+        self._appendReceived(extractVoice(received_msg.c2_stream, self._codecMode));
+        // Flush about every 320 ms of audio, whatever the mode's bitrate
+        const { voiceBytes } = CODEC_MODES[self._codecMode];
+        if (self._receive_length >= voiceBytes * 8 || received_msg.done) {
+          self._flushReceived(received_msg.done);
+        }
+
+        if (received_msg.lsf) self._updateLsf(received_msg.lsf);
+        if (received_msg.done) {
+          self._clearLsf();
+          // The next transmission starts from the default mode again
+          if (self._codecMode !== DEFAULT_CODEC_MODE) self._setCodecMode(DEFAULT_CODEC_MODE);
+        }
+      }
+    };
+
+    // Register the listener and get the shared connection
+    // JSON frames are always understood. Subprotocols are only offered with
+    // stream-format="binary": a browser fails the handshake when the proxy
+    // doesn't pick one of them, and the deployed proxy picks none
+    this._streamProtocols = this.streamFormat === "binary" ? [BINARY_SUBPROTOCOL, JSON_SUBPROTOCOL] : [];
+    this._wsListenerIndex = WebSocketManager.registerListener(
+      this._streamUrl, wsListener, false, this._streamProtocols
+    );
+    this._ws = WebSocketManager.getConnection(this._streamUrl, this._streamProtocols);
+
+    // Joining a connection another player already opened
+    if (this._ws.readyState === WebSocket.OPEN) {
+      wsListener.onopen();
+    }
+    return true;
+  }
+
+  // Count a skipped status entry or stream frame, or an ignored LSF, and show it on the card
+  _reportProtocolError(source, message) {
+    if (source === "stream") {
+      this._diagnostics.badFrames++;
+    } else if (source === "lsf") {
+      this._diagnostics.badLsfs++;
+    } else {
+      this._diagnostics.badStatusEntries++;
+    }
+    this._diagnostics.lastError = `${source}: ${message}`;
+    console.warn(`Protocol error on ${this.reflector} ${this.module}: ${this._diagnostics.lastError}`);
+
+    if (!this.shadowRoot) return;
+    const diagnosticsIndicator = this.shadowRoot.getElementById("diagnosticsIndicator");
+    const total = this._diagnostics.badFrames + this._diagnostics.badStatusEntries + this._diagnostics.badLsfs;
+    diagnosticsIndicator.textContent = `⚠ ${total}`;
+    diagnosticsIndicator.title = this._t("diagnostics", {
+      statusEntries: this._diagnostics.badStatusEntries,
+      frames: this._diagnostics.badFrames,
+      lsfs: this._diagnostics.badLsfs,
+      error: this._diagnostics.lastError
+    });
+    diagnosticsIndicator.style.display = "inline";
+  }
+
+  // Events
+  _emit(name, detail) {
+    this.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true }));
+  }
+
+  _emitConnectionState(state, connection, info = {}) {
+    this._emit("m17-connection-state", {
+      state,
+      connection,
+      reflector: this.reflector,
+      module: this.module,
+      ...info
+    });
+  }
+
+  // Close what belongs to the previous channel when the status listener moves
+  // to another proxy, reflector or module. Resubscribing to the same channel
+  // keeps the transmission in progress and the messages already seen
+  _switchStatusChannel(channel) {
+    if (channel === this._statusChannel) return;
+    this._statusChannel = channel;
+    this._updateTransmission({ active_qso: false });
+    this._seenMessages = null;
+    this._messageKeys = null;
+    if (this.shadowRoot && !this._lsf) {
+      this.shadowRoot.getElementById("playerCallsign").textContent = this.label;
+      this._renderCallsignDetails(this.shadowRoot.getElementById("callsignDetails"), null);
+      this.resetTheme();
+    }
+  }
+
+  // Track active_qso transitions and report start/end of transmissions
+  _updateTransmission(entry) {
+    const callsign = entry.active_qso ? entry.last_qso_call : null;
+    if (callsign === this._txCallsign) return;
+
+    if (this._txCallsign !== null) {
+      if (this.recordMode === "transmission") this._closeRecording();
+      // Reported on the channel it started on, the player may have been retuned since
+      const { reflector, module } = this._txChannel;
+      const endedAt = new Date();
+      this._addHistory({
+        callsign: this._txCallsign,
+        reflector,
+        module,
+        start: this._txStart,
+        end: endedAt,
+        duration: endedAt - this._txStart
+      });
+      this._announce("off-air", this._txCallsign, this._txChannel);
+      this._emit("m17-transmission-end", {
+        callsign: this._txCallsign,
+        reflector,
+        module,
+        startedAt: this._txStart,
+        endedAt,
+        duration: endedAt - this._txStart
+      });
+    }
+
+    this._txCallsign = callsign;
+    this._txStart = callsign !== null ? new Date() : null;
+    this._txChannel = callsign !== null ? { reflector: this.reflector, module: this.module } : null;
+    this._watchMatch = matchWatchlist(this._watchlist, callsign);
+
+    if (callsign !== null) {
+      if (this._recordingArmed && this.recordMode === "transmission") this._openRecording(false);
+      this._announce("on-air", callsign);
+      this._emit("m17-transmission-start", {
+        callsign,
+        reflector: this.reflector,
+        module: this.module,
+        startedAt: this._txStart
+      });
+      if (this._notify.has("activity")) {
+        const params = { callsign, reflector: this.reflector, module: this.module };
+        this._showNotification("activity", this._t("notify-activity", params), {
+          body: this._t("notify-activity-body", params)
+        });
+      }
+      if (this._watchMatch) this._alertWatchlist(callsign);
+    }
+    this._updateMediaSession();
+  }
+
+  // Screen reader announcement through the polite live region
+  _announce(key, callsign, channel = this) {
+    if (!this.shadowRoot) return;
+    this.shadowRoot.getElementById("announcer").textContent = this._t(key, {
+      callsign,
+      reflector: channel.reflector,
+      module: channel.module
+    });
+  }
+
+  // A watched station came on air
+  _alertWatchlist(callsign) {
+    this._emit("m17-watchlist-match", {
+      callsign,
+      pattern: this._watchMatch,
+      reflector: this.reflector,
+      module: this.module,
+      startedAt: this._txStart
+    });
+    if (this.hasAttribute("watch-sound")) {
+      Mixer.resume().then((running) => {
+        if (running) {
+          playCue(Mixer.context);
+        } else {
+          console.warn(`Watchlist cue for ${callsign} not played, the browser blocks audio until the page is clicked`);
+        }
+      });
+    }
+    if (this.hasAttribute("watch-autoplay") && !this._playerActive) {
+      // Only start once the browser lets audio run, else on the next gesture
+      Mixer.resume().then((running) => {
+        if (this._playerActive) return;
+        if (running) {
+          this.play();
+        } else {
+          console.warn(`${this.reflector} ${this.module} starts on the next click or key press, the browser blocks audio until then`);
+          this._playOnNextGesture();
+        }
+      });
+    }
+  }
+
+  // QSO history
+  clearHistory() {
+    this._history = [];
+    this._renderHistory();
+  }
+
+  // Serialize the history as "json" or "csv"
+  exportHistory(format = "json") {
+    if (format === "csv") {
+      const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+      const rows = this._history.map(qso => [
+        qso.callsign,
+        qso.reflector,
+        qso.module,
+        qso.start.toISOString(),
+        qso.end.toISOString(),
+        Math.round(qso.duration / 1000)
+      ].map(quote).join(","));
+      return ["callsign,reflector,module,start,end,duration_s", ...rows].join("\r\n");
+    }
+    return JSON.stringify(this._history, null, 2);
+  }
+
+  // Offer the history as a file download
+  downloadHistory(format = "json") {
+    const type = format === "csv" ? "text/csv" : "application/json";
+    this._download(`${this.reflector}_${this.module}_history.${format}`, new Blob([this.exportHistory(format)], { type }));
+  }
+
+  _addHistory(qso) {
+    this._history.push(qso);
+    if (this._history.length > this.historyLength) {
+      this._history.splice(0, this._history.length - this.historyLength);
+    }
+    this._renderHistory();
+  }
+
+  _renderHistory() {
+    if (!this.shadowRoot) return;
+    const historyItems = this.shadowRoot.getElementById("historyItems");
+    historyItems.innerHTML = "";
+
+    if (this._history.length === 0) {
+      const historyItem = document.createElement("div");
+      historyItem.className = "message-item";
+      historyItem.textContent = this._t("no-qsos");
+      historyItems.appendChild(historyItem);
+      return;
+    }
+
+    this._history.slice().reverse().forEach((qso) => {
+      const historyItem = document.createElement("div");
+      historyItem.className = "message-item history-item";
+
+      const time = document.createElement("span");
+      time.textContent = I18n.formatTime(this._language(), qso.start);
+
+      const callsign = document.createElement("span");
+      callsign.className = "callsign";
+      callsign.textContent = qso.callsign;
+
+      const duration = document.createElement("span");
+      duration.textContent = this._formatDuration(qso.duration);
+
+      historyItem.appendChild(time);
+      historyItem.appendChild(callsign);
+      historyItem.appendChild(duration);
+      historyItems.appendChild(historyItem);
+    });
+  }
+
+  _formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return seconds >= 60
+      ? this._t("duration-minutes", { minutes: Math.floor(seconds / 60), seconds: seconds % 60 })
+      : this._t("duration-seconds", { seconds });
   }
 
-  connectedCallback() {
-    // Initialize WASM
-    init();
+  // Recording
+  startRecording() {
+    if (this._recordingArmed) return;
+    this.play();
+    this._recordingArmed = true;
 
-    // Create the UI
-    this._createUI();
+    // Include the pre-roll when joining a transmission or recording everything
+    if (this.recordMode === "continuous" || this._txCallsign !== null) {
+      this._openRecording(true);
+    }
+    this._updateRecordButton();
+  }
 
-    // Connect to status server
-    this._connectToServerStatus();
+  stopRecording() {
+    if (!this._recordingArmed) return;
+    this._closeRecording();
+    this._recordingArmed = false;
+    this._updateRecordButton();
   }
 
-  disconnectedCallback() {
-    this._disconnectWebSockets();
+  clearRecordings() {
+    this._recordings = [];
+    this._renderRecordings();
   }
 
-  // Theme methods
-  resetTheme() {
-    if (this.shadowRoot) {
-      const card = this.shadowRoot.getElementById('playerCard');
-      if (card) {
-        card.className = `player-card ${this.theme}-theme`;
-      }
+  _openRecording(withPreRoll) {
+    if (this._recorder.recording) {
+      // The first audio usually opens the file before the status feed names the station
+      if (this._recordingCallsign === null) this._recordingCallsign = this._txCallsign;
+      return;
     }
+    this._recorder.start(withPreRoll);
+    this._recordingStart = new Date();
+    // The LSF may name the station before the status feed does
+    this._recordingCallsign = this._txCallsign ?? (this._lsf && this._lsfCallsign()) ?? null;
+    this._recordingChannel = { reflector: this.reflector, module: this.module };
   }
-  
-  txTheme() {
-    if (this.shadowRoot) {
-      const card = this.shadowRoot.getElementById('playerCard');
-      if (card) {
-        card.className = `player-card ${this.theme}-theme tx-${this.theme}`;
-      }
-    }
+
+  // Finish the current file and add it to the recordings list
+  _closeRecording() {
+    const samples = this._recorder.stop();
+    if (!samples || !samples.length) return;
+
+    // Only the station on air when the file was opened, never an earlier one
+    const callsign = this.recordMode === "transmission" ? this._recordingCallsign : null;
+    const { reflector, module } = this._recordingChannel;
+    const time = this._recordingStart.toISOString().replace(/\.\d+Z$/, "Z").replace(/:/g, "-");
+    const name = [callsign, reflector, module, time]
+      .filter(Boolean)
+      .join("_")
+      .replace(/[^A-Za-z0-9_\-]/g, "-");
+
+    const recording = {
+      name: `${name}.wav`,
+      callsign,
+      reflector,
+      module,
+      start: this._recordingStart,
+      end: new Date(),
+      duration: samples.length / this._recorder.sampleRate * 1000,
+      blob: encodeWav(samples, this._recorder.sampleRate)
+    };
+    this._recordings.push(recording);
+    this._trimRecordings();
+    this._renderRecordings();
+    this._emit("m17-recording", recording);
   }
 
-  // Connection management
-  _reconnectIfNeeded() {
-    if (this._playerActive && this.proxy && this.reflector && this.module) {
-      this._disconnectWebSockets();
-      this._connectToServer();
-    } else if (!this._playerActive) {
-      this._connectToServerStatus();
+  // Feed decoded audio into the recorder and split files per transmission
+  _recordAudio(samples, done) {
+    this._recorder.push(samples);
+    if (!this._recordingArmed) return;
+
+    if (this.recordMode === "transmission") {
+      if (!this._recorder.recording) this._openRecording(false);
+      if (done) this._closeRecording();
     }
   }
 
-  _disconnectWebSockets() {
-    // Unregister listeners but don't close the shared connections
-    if (this._wsListenerIndex >= 0) {
-      WebSocketManager.unregisterListener(this.proxy, this.reflector, this.module, this._wsListenerIndex);
-      this._wsListenerIndex = -1;
-    }
+  _updateRecordButton() {
+    if (!this.shadowRoot) return;
+    const recordButton = this.shadowRoot.getElementById("recordButton");
+    recordButton.classList.toggle("recording", this._recordingArmed);
+    recordButton.setAttribute("aria-pressed", String(this._recordingArmed));
+  }
 
-    if (this._statusListenerIndex >= 0) {
-      WebSocketManager.unregisterListener(this.proxy, '', '', this._statusListenerIndex, true);
-      this._statusListenerIndex = -1;
+  // Drop the oldest recordings beyond recordingsLength so their blobs can be freed
+  _trimRecordings() {
+    if (this._recordings.length > this.recordingsLength) {
+      this._recordings.splice(0, this._recordings.length - this.recordingsLength);
     }
-
-    this._ws = null;
-    this._statusWs = null;
   }
 
-  _connectToServerStatus() {
-    if (!this.proxy) return;
+  _renderRecordings() {
+    if (!this.shadowRoot) return;
+    const recordingsIndicator = this.shadowRoot.getElementById("recordingsIndicator");
+    const recordingsList = this.shadowRoot.getElementById("recordingsList");
 
-    const shadow = this.shadowRoot;
-    const self = this;
+    recordingsList.querySelectorAll("a").forEach(link => URL.revokeObjectURL(link.href));
+    recordingsList.innerHTML = "";
+    recordingsIndicator.style.display = this._recordings.length ? "inline-block" : "none";
 
-    // Unregister previous listener if exists
-    if (this._statusListenerIndex >= 0) {
-      WebSocketManager.unregisterListener(this.proxy, '', '', this._statusListenerIndex, true);
+    this._recordings.slice().reverse().forEach((recording) => {
+      const recordingItem = document.createElement("div");
+      recordingItem.className = "message-item history-item";
+
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(recording.blob);
+      link.download = recording.name;
+      link.textContent = recording.name;
+
+      const duration = document.createElement("span");
+      duration.textContent = this._formatDuration(recording.duration);
+
+      recordingItem.appendChild(link);
+      recordingItem.appendChild(duration);
+      recordingsList.appendChild(recordingItem);
+    });
+  }
+
+  _renderMessages() {
+    const messageIndicator = this.shadowRoot.getElementById("messageIndicator");
+    const messageList = this.shadowRoot.getElementById("messageList");
+    messageIndicator.style.display = "inline-block";
+    messageList.innerHTML = ""; // Clear existing messages
+    if (this._messages.length > 0) {
+      this._messages.slice().reverse().forEach((msg) => {
+        const messageItem = document.createElement("div");
+        messageItem.className = "message-item";
+        const details = document.createElement("span");
+        details.className = "callsign-details";
+        messageItem.append(msg.callsign, details, `: ${msg.message}`);
+        this._renderCallsignDetails(details, msg.callsign);
+        messageList.appendChild(messageItem);
+      });
+    } else {
+      const messageItem = document.createElement("div");
+      messageItem.className = "message-item";
+      messageItem.textContent = this._t("no-messages");
+      messageList.appendChild(messageItem);
+      messageIndicator.style.opacity = "0.25";
     }
+  }
 
-    // Create listener object
-    const statusListener = {
-      onmessage: function(evt) {
-        let received_msg = JSON.parse(evt.data);
-
-        if (Array.isArray(received_msg)) {
-          received_msg.forEach((entry) => {
-            if (entry.reflector == self.reflector && entry.module == self.module) {
-              shadow.getElementById("playerLastCall").textContent = `Last Heard: ${entry.last_qso_call}`;
-
-              if (entry.active_qso) {
-                shadow.getElementById("playerCallsign").textContent = entry.last_qso_call;
-                self.txTheme();
-                // Visual feedback - pulse animation
-                const callsignEl = shadow.getElementById("playerCallsign");
-                callsignEl.classList.add("pulse");
-                setTimeout(() => callsignEl.classList.remove("pulse"), 300);
-              } else {
-                shadow.getElementById("playerCallsign").textContent = self.label;
-                self.resetTheme();
-              }
+  _renderLastHeard() {
+    this.shadowRoot.getElementById("playerLastCall").textContent = this._lastHeard !== null
+      ? this._t("last-heard", { callsign: this._lastHeard })
+      : this._t("last-call");
+  }
 
-              // Handle messages
-              const messageIndicator = shadow.getElementById("messageIndicator");
-              const messageList = shadow.getElementById("messageList");
-              if (entry.messages && entry.messages.length > 0) {
-                messageIndicator.style.display = "inline-block";
-                messageList.innerHTML = ""; // Clear existing messages
-                entry.messages.slice().reverse().forEach((msg) => {
-                  const messageItem = document.createElement("div");
-                  messageItem.className = "message-item";
-                  messageItem.textContent = `${msg.callsign}: ${msg.message}`;
-                  messageList.appendChild(messageItem);
-                });
-              } else {
-                messageIndicator.style.display = "inline-block";
-                messageList.innerHTML = ""; // Clear existing messages
-                const messageItem = document.createElement("div");
-                messageItem.className = "message-item";
-                messageItem.textContent = "No messages";
-                messageList.appendChild(messageItem);
-                messageIndicator.style.opacity = "0.25";
-              }
-            }
+  // Report messages not seen in the previous status update
+  _updateMessages(messages) {
+    const keys = messages.map(messageKey);
+
+    // The first update is the existing backlog, not new messages
+    if (this._seenMessages) {
+      messages.forEach((msg, i) => {
+        if (this._seenMessages.has(keys[i])) return;
+        this._emit("m17-message", {
+          callsign: msg.callsign,
+          message: msg.message,
+          reflector: this.reflector,
+          module: this.module,
+          receivedAt: new Date()
+        });
+        if (this._notify.has("messages")) {
+          this._showNotification("messages", this._t("notify-message", {
+            callsign: msg.callsign,
+            reflector: this.reflector,
+            module: this.module
+          }), {
+            body: msg.message
           });
         }
-      }
-    };
+      });
+    }
 
-    // Register the listener and get the shared connection
-    this._statusListenerIndex = WebSocketManager.registerListener(
-      this.proxy, '', '', statusListener, true
-    );
-    this._statusWs = WebSocketManager.getStatusConnection(this.proxy);
+    this._seenMessages = new Set(keys);
   }
 
-  _connectToServer() {
-    if (!this.proxy || !this.reflector || !this.module) {
-      console.error("Cannot connect: missing proxy, reflector, or module");
-      return;
-    }
+  // Notifications, clicking one brings the card into view
+  _showNotification(kind, title, options) {
+    Notifier.notify(`${this.reflector}/${this.module}/${kind}`, title, {
+      icon: "img/m17glow.png",
+      ...options
+    }, () => this.scrollIntoView({ behavior: "smooth", block: "center" }));
+  }
 
-    const shadow = this.shadowRoot;
-    const self = this;
+  // Media Session, so media keys and the OS media overlay control this player
+  _claimMediaSession() {
+    if (!("mediaSession" in navigator)) return;
+    M17webPlayer._mediaSessionPlayer = this;
 
-    // Unregister previous listener if exists
-    if (this._wsListenerIndex >= 0) {
-      WebSocketManager.unregisterListener(this.proxy, this.reflector, this.module, this._wsListenerIndex);
-    }
+    const handlers = {
+      play: () => this.play(),
+      pause: () => this.stop(),
+      stop: () => this.stop()
+    };
+    Object.entries(handlers).forEach(([action, handler]) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch (err) {
+        // Action not supported by this browser
+      }
+    });
+    this._updateMediaSession();
+  }
 
-    // Create listener object
-    const wsListener = {
-      onopen: function() {
-        shadow.getElementById("connectionStatus").textContent = "Streaming";
-        shadow.getElementById("connectionStatus").className = "status-connected";
-      },
-      onclose: function() {
-        shadow.getElementById("connectionStatus").textContent = "";
-        shadow.getElementById("connectionStatus").className = "status-disconnected";
-        self._playerActive = false;
-        self._playerSymbol = "▶";
-        shadow.getElementById("playerButton").textContent = self._playerSymbol;
-      },
-      onerror: function(evt) {
-        shadow.getElementById("connectionStatus").textContent = "Error";
-        shadow.getElementById("connectionStatus").className = "status-error";
-      },
-      onmessage: function(evt) {
-        let received_msg = JSON.parse(evt.data);
-        self._receive_buffer = new Uint8Array([...self._receive_buffer, ...new Uint8Array(self._arrayToArrayBuffer(received_msg.c2_stream))]);
-        if (self._receive_buffer.length >= 128 || received_msg.done) {
-          self._playResult(decode(self._receive_buffer));
-          self._receive_buffer = new Uint8Array(0);
-        }
+  _updateMediaSession() {
+    if (!("mediaSession" in navigator) || M17webPlayer._mediaSessionPlayer !== this) return;
+
+    const where = `${this.reflector} ${this.module}`;
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: this._txCallsign || this.label || where,
+      artist: where,
+      album: "M17",
+      artwork: [{ src: new URL("img/m17glow.png", document.baseURI).href, type: "image/png" }]
+    });
+    navigator.mediaSession.playbackState = this._playerActive ? "playing" : "paused";
+  }
+
+  _releaseMediaSession() {
+    if (!("mediaSession" in navigator) || M17webPlayer._mediaSessionPlayer !== this) return;
+    M17webPlayer._mediaSessionPlayer = null;
+    ["play", "pause", "stop"].forEach(action => {
+      try {
+        navigator.mediaSession.setActionHandler(action, null);
+      } catch (err) {
+        // Action not supported by this browser
       }
+    });
+    navigator.mediaSession.metadata = null;
+    navigator.mediaSession.playbackState = "none";
+  }
+
+  // Utility methods
+  _download(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  _flushReceived(done) {
+    if (!this._receive_length && !done) return;
+    // Copy out, the buffer is reused while decoding runs
+    this._playResult(this._receive_buffer.slice(0, this._receive_length), done, this._codecMode);
+    this._receive_length = 0;
+  }
+
+  _setCodecMode(mode) {
+    this._codecMode = mode;
+    if (!this.shadowRoot) return;
+    const codecLabel = this.shadowRoot.getElementById("codecMode");
+    codecLabel.textContent = `C2 ${mode}`;
+    codecLabel.className = "codec-mode";
+    codecLabel.title = "";
+  }
+
+  // Link setup
+  // Merge an LSF into the running transmission. META alternates between
+  // kinds, so position and extended callsigns are kept until the source changes
+  _updateLsf(lsf) {
+    const previous = this._lsf && this._lsf.source === lsf.source ? this._lsf : null;
+    if (!previous) this._metaText.reset();
+    const textChanged = this._metaText.add(lsf.text);
+
+    const info = {
+      source: lsf.source,
+      destination: lsf.destination,
+      can: lsf.can,
+      encryption: lsf.encryption,
+      signed: lsf.signed,
+      gnss: lsf.gnss || (previous && previous.gnss),
+      extendedCallsign: lsf.extendedCallsign || (previous && previous.extendedCallsign)
     };
+    const changed = !previous || textChanged || JSON.stringify(info) !== JSON.stringify(previous);
+    this._lsf = info;
+    if (!changed) return;
+
+    this._renderStreamInfo();
+    this._emit("m17-stream-info", { ...this.streamInfo, reflector: this.reflector, module: this.module });
+
+    // Show who is on air before the status feed catches up
+    const callsign = this._lsfCallsign();
+    if (this._txCallsign === null && callsign && this.shadowRoot) {
+      this.shadowRoot.getElementById("playerCallsign").textContent = callsign;
+      this._renderCallsignDetails(this.shadowRoot.getElementById("callsignDetails"), callsign);
+      this.txTheme();
+    }
+  }
 
-    // Register the listener and get the shared connection
-    this._wsListenerIndex = WebSocketManager.registerListener(
-      this.proxy, this.reflector, this.module, wsListener
-    );
-    this._ws = WebSocketManager.getConnection(this.proxy, this.reflector, this.module);
+  _clearLsf() {
+    if (!this._lsf) return;
+    this._lsf = null;
+    this._metaText.reset();
+    this._renderStreamInfo();
+    if (this._txCallsign === null && this.shadowRoot) {
+      this.shadowRoot.getElementById("playerCallsign").textContent = this.label;
+      this._renderCallsignDetails(this.shadowRoot.getElementById("callsignDetails"), null);
+      this.resetTheme();
+    }
   }
 
-  // Utility methods
-  _arrayToArrayBuffer(array) {
-    let arrayBuffer = new ArrayBuffer(array.length);
-    let bufferView = new Uint8Array(arrayBuffer);
-    for (let i = 0; i < array.length; i++) {
-      bufferView[i] = array[i];
+  // Relayed traffic names the original station in the extended callsign META
+  _lsfCallsign() {
+    const extended = this._lsf.extendedCallsign;
+    return (extended && extended.callsign1) || this._lsf.source;
+  }
+
+  _renderStreamInfo() {
+    if (!this.shadowRoot) return;
+    const streamInfo = this.shadowRoot.getElementById("streamInfo");
+    streamInfo.innerHTML = "";
+    streamInfo.style.display = this._lsf ? "flex" : "none";
+    if (!this._lsf) return;
+
+    const lang = this._language();
+    const addItem = (text, title = "") => {
+      const item = document.createElement("span");
+      item.textContent = text;
+      if (title) item.title = title;
+      streamInfo.appendChild(item);
+      return item;
+    };
+
+    const { destination, can, encryption, gnss, extendedCallsign } = this._lsf;
+    addItem(this._t("lsf-route", { source: this._lsfCallsign() || "?", destination: destination || "?" }));
+    if (extendedCallsign && extendedCallsign.callsign2) {
+      addItem(this._t("lsf-via", { callsign: extendedCallsign.callsign2 }));
+    }
+    addItem(this._t("lsf-can", { can }));
+    if (encryption !== "none") {
+      addItem(`🔒 ${this._t(`lsf-encryption-${encryption}`)}`).className = "status-error";
+    }
+
+    if (gnss) {
+      const format = (value) => value.toLocaleString(lang, { maximumFractionDigits: 4 });
+      const link = document.createElement("a");
+      link.href = `https://www.openstreetmap.org/?mlat=${gnss.latitude.toFixed(5)}&mlon=${gnss.longitude.toFixed(5)}`;
+      link.target = "_blank";
+      link.rel = "noopener";
+      link.textContent = `📍 ${format(gnss.latitude)}, ${format(gnss.longitude)}`;
+      link.title = this._t("lsf-map");
+      streamInfo.appendChild(link);
+    }
+
+    if (this._metaText.text) {
+      addItem(`💬 ${this._metaText.text}`).className = "stream-text";
     }
-    return arrayBuffer;
   }
 
-  _togglePlay() {
-    if (this._playerActive) {
-      // Just unregister our listener, don't close the shared connection
-      if (this._wsListenerIndex >= 0) {
-        WebSocketManager.unregisterListener(this.proxy, this.reflector, this.module, this._wsListenerIndex);
-        this._wsListenerIndex = -1;
-        this._ws = null;
-      }
+  // "unsupported" only when the WASM build lacks the decoder, anything else is a decoding failure
+  _showCodecError(mode, err) {
+    console.error(`Codec2 ${mode} decoding failed: ${err.message}`);
+    if (!this.shadowRoot) return;
+    const codecLabel = this.shadowRoot.getElementById("codecMode");
+    const key = err instanceof CodecUnsupportedError ? "codec-unsupported" : "codec-error";
+    codecLabel.textContent = this._t(key, { mode });
+    codecLabel.className = "codec-mode status-error";
+    codecLabel.title = err.message;
+  }
 
-      this._playerActive = false;
-      this._playerSymbol = "▶";
+  _appendReceived(bytes) {
+    const needed = this._receive_length + bytes.length;
+    if (needed > this._receive_buffer.length) {
+      const grown = new Uint8Array(Math.max(needed, this._receive_buffer.length * 2));
+      grown.set(this._receive_buffer.subarray(0, this._receive_length));
+      this._receive_buffer = grown;
+    }
+    this._receive_buffer.set(bytes, this._receive_length);
+    this._receive_length = needed;
+  }
 
-      // Update UI
-      this.shadowRoot.getElementById("connectionStatus").textContent = "";
-      this.shadowRoot.getElementById("connectionStatus").className = "status-disconnected";
-    } else {
-      this._playerActive = true;
-      if (!this._audioCtx) {
-        this._audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+  // Use the AudioWorklet pipeline where available, else schedule on the main thread
+  async _createPlayout() {
+    const options = { targetDepth: this.jitterBuffer, maxDepth: this.jitterBufferMax };
+
+    if (this._audioCtx.audioWorklet && window.AudioWorkletNode) {
+      try {
+        await WorkletPlayout.load(this._audioCtx);
+        return new WorkletPlayout(this._audioCtx, this._chain.input, options);
+      } catch (err) {
+        console.log(`Playout worklet unavailable, using main thread scheduler: ${err.message}`);
       }
-      this._connectToServer();
-      this._playerSymbol = "⏸";
     }
-    this.shadowRoot.getElementById("playerButton").textContent = this._playerSymbol;
+
+    return new PlayoutScheduler(this._audioCtx, this._chain.input, options);
   }
 
-  _playResult(result) {
-    let source = this._audioCtx.createBufferSource();
-    let buffer = this._audioCtx.createBuffer(1, result.length, 8000);
-    let data = buffer.getChannelData(0);
-    for (let i = 0; i < result.length; i++) {
-      data[i] = (result[i] / 32768.0) * this._gain;
-    }
-    source.buffer = buffer;
-    source.connect(this._audioCtx.destination);
-    source.start();
+  _playResult(data, done, mode = DEFAULT_CODEC_MODE) {
+    Promise.all([Decoder.decode(data, mode), this._playoutReady])
+      .then(([samples, playout]) => {
+        if (!this._playerActive) return;
+        if (this._audioEvents && samples.length) {
+          // Copy for listeners, the worklet pipeline transfers the original
+          this._emit("m17-audio-chunk", {
+            samples: samples.slice(),
+            sampleRate: 8000,
+            reflector: this.reflector,
+            module: this.module
+          });
+        }
+        this._recordAudio(samples.slice(), done);
+        if (samples.length) this._visualizer.wake();
+        playout.push(samples);
+        if (done) playout.endOfStream();
+      })
+      .catch(err => this._showCodecError(mode, err));
   }
 
   // UI creation
@@ -402,40 +2135,84 @@ export class M17webPlayer extends HTMLElement {
     // Create card container
     const card = document.createElement("div");
     card.setAttribute("id", "playerCard");
-    card.className = `player-card ${this.theme}-theme`;
+    card.className = "player-card";
+    card.setAttribute("part", "card");
+    card.setAttribute("role", "group");
 
     // Create header
     const header = document.createElement("div");
     header.className = "card-header";
+    header.setAttribute("part", "header");
 
     const player_logo = document.createElement("img");
     player_logo.src = "img/m17glow.png";
     player_logo.setAttribute("id", "playerLogo");
-    player_logo.title = "M17web Player by OE3ANC";
 
     const title = document.createElement("div");
+    title.setAttribute("id", "cardTitle");
     title.className = "card-title";
-    title.textContent = "M17 Player";
+    title.setAttribute("part", "title");
 
     // Create message indicator and list
     const messageContainer = document.createElement("div");
     messageContainer.className = "message-container";
 
-    const messageIndicator = document.createElement("span");
+    const messageIndicator = document.createElement("button");
     messageIndicator.setAttribute("id", "messageIndicator");
+    messageIndicator.setAttribute("aria-controls", "messageList");
     messageIndicator.className = "message-indicator";
     messageIndicator.textContent = "📨";
     messageIndicator.style.display = "none"; // Hidden by default
-    messageIndicator.onclick = () => {
-        const messageList = shadow.getElementById("messageList");
-        messageList.classList.toggle("visible");
-    };
+    messageIndicator.onclick = () => this._togglePanel("messageIndicator", "messageList");
 
     const messageList = document.createElement("div");
     messageList.setAttribute("id", "messageList");
     messageList.className = "message-list";
+    messageList.setAttribute("part", "message-list");
+
+    // Create QSO history indicator and list
+    const historyIndicator = document.createElement("button");
+    historyIndicator.setAttribute("id", "historyIndicator");
+    historyIndicator.setAttribute("aria-controls", "historyList");
+    historyIndicator.className = "message-indicator";
+    historyIndicator.textContent = "🕘";
+    historyIndicator.onclick = () => this._togglePanel("historyIndicator", "historyList");
+
+    const historyList = document.createElement("div");
+    historyList.setAttribute("id", "historyList");
+    historyList.className = "message-list";
+
+    const historyItems = document.createElement("div");
+    historyItems.setAttribute("id", "historyItems");
+
+    const historyExport = document.createElement("div");
+    historyExport.className = "history-export";
+    ["csv", "json"].forEach((format) => {
+      const exportButton = document.createElement("button");
+      exportButton.textContent = format.toUpperCase();
+      exportButton.onclick = () => this.downloadHistory(format);
+      historyExport.appendChild(exportButton);
+    });
+
+    historyList.appendChild(historyItems);
+    historyList.appendChild(historyExport);
+
+    // Create recordings indicator and list
+    const recordingsIndicator = document.createElement("button");
+    recordingsIndicator.setAttribute("id", "recordingsIndicator");
+    recordingsIndicator.setAttribute("aria-controls", "recordingsList");
+    recordingsIndicator.className = "message-indicator";
+    recordingsIndicator.textContent = "💾";
+    recordingsIndicator.style.display = "none"; // Hidden until something was recorded
+    recordingsIndicator.onclick = () => this._togglePanel("recordingsIndicator", "recordingsList");
+
+    const recordingsList = document.createElement("div");
+    recordingsList.setAttribute("id", "recordingsList");
+    recordingsList.className = "message-list";
 
     // Append to message container
+    messageContainer.appendChild(recordingsIndicator);
+    messageContainer.appendChild(historyIndicator);
     messageContainer.appendChild(messageIndicator);
     
     header.appendChild(player_logo);
@@ -450,19 +2227,31 @@ export class M17webPlayer extends HTMLElement {
     callsignContainer.className = "callsign-container";
 
     const callsignLabel = document.createElement("span");
+    callsignLabel.setAttribute("id", "callsignLabel");
     callsignLabel.className = "label";
-    callsignLabel.textContent = "Callsign:";
 
     const player_callsign = document.createElement("span");
     player_callsign.textContent = this._src_call || this.label;
     player_callsign.setAttribute("id", "playerCallsign");
     player_callsign.className = "callsign";
+    player_callsign.setAttribute("part", "callsign");
+
+    // Flag and operator name when a callsign resolver is set
+    const callsignDetails = document.createElement("span");
+    callsignDetails.setAttribute("id", "callsignDetails");
+    callsignDetails.className = "callsign-details";
+    callsignDetails.setAttribute("part", "callsign-details");
+
+    const callsignValue = document.createElement("span");
+    callsignValue.appendChild(player_callsign);
+    callsignValue.appendChild(callsignDetails);
 
     callsignContainer.appendChild(callsignLabel);
-    callsignContainer.appendChild(player_callsign);
+    callsignContainer.appendChild(callsignValue);
 
     const statusContainer = document.createElement("div");
     statusContainer.className = "status-container";
+    statusContainer.setAttribute("part", "status");
 
     const connectionStatus = document.createElement("span");
     connectionStatus.setAttribute("id", "connectionStatus");
@@ -472,23 +2261,63 @@ export class M17webPlayer extends HTMLElement {
     const playerLastCall = document.createElement("span");
     playerLastCall.setAttribute("id", "playerLastCall");
     playerLastCall.className = "player-status";
-    playerLastCall.textContent = "LastCall";
+
+    const diagnosticsIndicator = document.createElement("span");
+    diagnosticsIndicator.setAttribute("id", "diagnosticsIndicator");
+    diagnosticsIndicator.className = "status-error";
+    diagnosticsIndicator.style.display = "none"; // Hidden until a message is rejected
+
+    const codecMode = document.createElement("span");
+    codecMode.setAttribute("id", "codecMode");
+    codecMode.className = "codec-mode";
 
     statusContainer.appendChild(connectionStatus);
+    statusContainer.appendChild(codecMode);
+    const clipIndicator = document.createElement("span");
+    clipIndicator.setAttribute("id", "clipIndicator");
+    clipIndicator.className = "status-error";
+    clipIndicator.style.display = "none";
+
+    const outputNotice = document.createElement("span");
+    outputNotice.setAttribute("id", "outputNotice");
+    outputNotice.className = "status-error";
+    outputNotice.style.display = "none";
+
+    statusContainer.appendChild(diagnosticsIndicator);
+    statusContainer.appendChild(clipIndicator);
+    statusContainer.appendChild(outputNotice);
     statusContainer.appendChild(playerLastCall);
 
+    // Optional level meter, waveform or spectrum
+    const visualizerCanvas = document.createElement("canvas");
+    visualizerCanvas.setAttribute("id", "visualizer");
+    visualizerCanvas.className = "visualizer";
+    this._visualizer = new Visualizer(visualizerCanvas);
+
+    // Link setup details when the proxy forwards the LSF
+    const streamInfo = document.createElement("div");
+    streamInfo.setAttribute("id", "streamInfo");
+    streamInfo.className = "stream-info";
+    streamInfo.setAttribute("part", "stream-info");
+    streamInfo.style.display = "none";
+
     body.appendChild(callsignContainer);
     body.appendChild(statusContainer);
+    body.appendChild(streamInfo);
+    body.appendChild(visualizerCanvas);
 
     // Create footer
     const footer = document.createElement("div");
     footer.className = "card-footer";
+    footer.setAttribute("part", "footer");
 
     const player_button = document.createElement("button");
     player_button.textContent = "▶";
     player_button.setAttribute("id", "playerButton");
     player_button.className = "play-button";
-    player_button.onclick = () => this._togglePlay();
+    player_button.setAttribute("part", "play-button");
+    player_button.setAttribute("aria-pressed", "false");
+    player_button.onclick = () => this.toggle();
 
     const volumeContainer = document.createElement("div");
     volumeContainer.className = "volume-container";
@@ -496,24 +2325,58 @@ export class M17webPlayer extends HTMLElement {
     const volumeIcon = document.createElement("span");
     volumeIcon.className = "volume-icon";
     volumeIcon.textContent = "🔊";
+    volumeIcon.setAttribute("aria-hidden", "true");
 
     const player_slider = document.createElement("input");
     player_slider.setAttribute("id", "playerSlider");
     player_slider.className = "volume-slider";
+    player_slider.setAttribute("part", "volume-slider");
     player_slider.type = "range";
     player_slider.min = 0;
     player_slider.max = 4.0;
     player_slider.step = 0.1;
-    player_slider.value = 3.0;
+    player_slider.value = this._gain;
     player_slider.addEventListener('input', (e) => {
-      this._gain = e.target.value;
+      this.volume = e.target.value;
     });
 
     volumeContainer.appendChild(volumeIcon);
     volumeContainer.appendChild(player_slider);
 
     // Append message container to body
+    const record_button = document.createElement("button");
+    record_button.textContent = "⏺";
+    record_button.setAttribute("id", "recordButton");
+    record_button.className = "record-button";
+    record_button.setAttribute("part", "record-button");
+    record_button.setAttribute("aria-pressed", "false");
+    record_button.onclick = () => {
+      if (this._recordingArmed) {
+        this.stopRecording();
+      } else {
+        this.startRecording();
+      }
+    };
+
+    const output_button = document.createElement("button");
+    output_button.textContent = "🎧";
+    output_button.setAttribute("id", "outputButton");
+    output_button.className = "record-button output-button";
+    output_button.style.display = Mixer.supportsOutputSelection ? "" : "none";
+    output_button.setAttribute("aria-controls", "outputList");
+    output_button.onclick = async () => {
+      const outputList = shadow.getElementById("outputList");
+      if (!outputList.classList.contains("visible")) await this._renderOutputDevices();
+      this._togglePanel("outputButton", "outputList");
+    };
+
+    const outputList = document.createElement("div");
+    outputList.setAttribute("id", "outputList");
+    outputList.className = "message-list";
+
     footer.appendChild(player_button);
+    footer.appendChild(record_button);
+    footer.appendChild(output_button);
     footer.appendChild(volumeContainer);
 
     // Assemble card
@@ -521,78 +2384,55 @@ export class M17webPlayer extends HTMLElement {
     card.appendChild(body);
     card.appendChild(footer);
     card.appendChild(messageList);
+    card.appendChild(historyList);
+    card.appendChild(recordingsList);
+    card.appendChild(outputList);
 
 
     // Create CSS
     const style = document.createElement("style");
     style.textContent = `
       .player-card {
-        width: 300px;
-        border-radius: 12px;
+        width: var(--m17-card-width, 300px);
+        border-radius: var(--m17-radius, 12px);
         overflow: hidden;
         box-shadow: 0 4px 20px rgba(0,0,0,0.15);
         margin: 15px;
         transition: all 1s ease;
-        font-family: 'Roboto', sans-serif;
-      }
-
-      .player-card:hover {
-        transform: translateY(-2.5px);
-        box-shadow: 0 8px 25px rgba(0,0,0,0.2);
-      }
-
-      .dark-theme {
+        font-family: var(--m17-font-family, 'Roboto', sans-serif);
         background: repeating-linear-gradient(
           -55deg,
-          #353535,
-          #353535 10px,
-          #303030 10px,
-          #303030 20px
+          var(--_background),
+          var(--_background) 10px,
+          var(--_background-alt) 10px,
+          var(--_background-alt) 20px
         );
-        color: #ffffff;
-        transition: all 1s ease;
-        border: 2.5px solid rgb(34, 34, 34);
+        color: var(--_text);
+        border: 2.5px solid var(--_bar);
       }
 
-      .light-theme {
-        background: repeating-linear-gradient(
-          -55deg,
-          #F5F5F5,
-          #F5F5F5 10px,
-          #FFFFFF 10px,
-          #FFFFFF 20px
-        );
-        color: #333333;
-        border-color: 1px solid grey;
-        transition: all 1s ease;
-        border: 2.5px solid rgb(234, 234, 234);
+      .player-card:hover {
+        transform: translateY(-2.5px);
+        box-shadow: 0 8px 25px rgba(0,0,0,0.2);
       }
 
-      .tx-dark {
+      .tx {
         background: repeating-linear-gradient(
           -55deg,
-          #551515,
-          #551515 10px,
-          #501010 10px,
-          #501010 20px
+          var(--_tx-background),
+          var(--_tx-background) 10px,
+          var(--_tx-background-alt) 10px,
+          var(--_tx-background-alt) 20px
         );
-        transition: all 1s ease;
-        color: #ffffff;
+        color: var(--_tx-text);
       }
 
-      .tx-light {
-        background: repeating-linear-gradient(
-          -55deg,
-          #F58585,
-          #F58585 10px,
-          #FF8F8F 10px,
-          #FF8F8F 20px
-        );
-        transition: all 1s ease;
+      .watch-match {
+        box-shadow: 0 0 0 3px #FFC107, 0 4px 20px rgba(255, 193, 7, 0.6);
       }
 
       .tx:hover {
-        box-shadow: 0 8px 25px rgba(255, 0, 0, 1);
+        box-shadow: 0 8px 25px var(--_tx-glow);
         transition: all 1s ease;
       }
 
@@ -605,12 +2445,9 @@ export class M17webPlayer extends HTMLElement {
         justify-content: space-between;
       }
 
-      .dark-theme .card-header {
-        background:rgb(34, 34, 34);
-      }
-
-      .light-theme .card-header {
-        background:rgb(234, 234, 234);
+      .card-header,
+      .card-footer {
+        background: var(--_bar);
       }
 
       #playerLogo {
@@ -646,12 +2483,46 @@ export class M17webPlayer extends HTMLElement {
         font-size: 16px;
       }
 
+      .callsign-details:not(:empty) {
+        margin-left: 6px;
+        font-size: 14px;
+        opacity: 0.8;
+      }
+
       .status-container {
         display: flex;
         justify-content: space-between;
         font-size: 12px;
       }
 
+      .stream-info {
+        flex-wrap: wrap;
+        gap: 4px 10px;
+        margin-top: 8px;
+        font-size: 12px;
+        opacity: 0.9;
+      }
+
+      .stream-info a {
+        color: inherit;
+      }
+
+      .stream-text {
+        flex-basis: 100%;
+        overflow-wrap: anywhere;
+      }
+
+      .visualizer {
+        width: 100%;
+        height: 40px;
+        margin-top: 10px;
+        border-radius: 4px;
+      }
+
+      .visualizer-meter {
+        height: 8px;
+      }
+
       .status-connected {
         color: #4CAF50;
       }
@@ -664,6 +2535,14 @@ export class M17webPlayer extends HTMLElement {
         color: #F44336;
       }
 
+      .status-reconnecting {
+        color: #FF9800;
+      }
+
+      .codec-mode {
+        opacity: 0.7;
+      }
+
       .card-footer {
         padding: 15px;
         display: flex;
@@ -672,20 +2551,12 @@ export class M17webPlayer extends HTMLElement {
         border-top: 1px solid rgba(255,255,255,0.05);
       }
 
-      .dark-theme .card-footer {
-        background:rgb(34, 34, 34);
-      }
-
-      .light-theme .card-footer {
-        background:rgb(234, 234, 234);
-      }
-
       .play-button {
         width: 50px;
         height: 50px;
         border-radius: 50%;
         border: none;
-        background: #4285F4;
+        background: var(--_accent);
         color: white;
         font-size: 20px;
         cursor: pointer;
@@ -696,10 +2567,28 @@ export class M17webPlayer extends HTMLElement {
       }
 
       .play-button:hover {
-        background: #3367D6;
+        background: var(--_accent-hover);
         transform: scale(1.05);
       }
 
+      .record-button {
+        width: 32px;
+        height: 32px;
+        border-radius: 50%;
+        border: none;
+        background: rgba(128, 128, 128, 0.3);
+        color: #F44336;
+        font-size: 14px;
+        cursor: pointer;
+        transition: all 0.2s ease;
+      }
+
+      .record-button.recording {
+        background: #F44336;
+        color: white;
+        animation: pulse-animation 1s ease-in-out infinite;
+      }
+
       .volume-container {
         display: flex;
         align-items: center;
@@ -715,20 +2604,16 @@ export class M17webPlayer extends HTMLElement {
         width: 100%;
         height: 4px;
         border-radius: 2px;
-        background: rgba(255,255,255,0.3);
+        background: var(--_track);
         outline: none;
       }
 
-      .light-theme .volume-slider {
-        background: rgba(0,0,0,0.2);
-      }
-
       .volume-slider::-webkit-slider-thumb {
         -webkit-appearance: none;
         width: 15px;
         height: 15px;
         border-radius: 50%;
-        background: #4285F4;
+        background: var(--_accent);
         cursor: pointer;
         transition: all 0.2s ease;
       }
@@ -754,7 +2639,25 @@ export class M17webPlayer extends HTMLElement {
       .message-indicator {
         cursor: pointer;
         font-size: 18px;
+        border: none;
+        padding: 0;
+        background: none;
+        color: inherit;
+      }
+
+      button:focus-visible,
+      input:focus-visible {
+        outline: 2px solid var(--_accent);
+        outline-offset: 2px;
+      }
 
+      .visually-hidden {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+        clip: rect(0 0 0 0);
+        white-space: nowrap;
       }
 
       .message-list {
@@ -783,11 +2686,105 @@ export class M17webPlayer extends HTMLElement {
       .message-item:last-child {
         margin-bottom: 0;
       }
+
+      .message-indicator + .message-indicator {
+        margin-left: 8px;
+      }
+
+      .history-item {
+        display: flex;
+        justify-content: space-between;
+      }
+
+      .message-list a {
+        color: inherit;
+      }
+
+      .output-button {
+        color: inherit;
+      }
+
+      .output-item {
+        display: block;
+        width: 100%;
+        margin-bottom: 5px;
+        border: none;
+        border-radius: 4px;
+        padding: 4px 8px;
+        background: rgba(128, 128, 128, 0.2);
+        color: inherit;
+        font-size: 14px;
+        text-align: left;
+        cursor: pointer;
+      }
+
+      .output-item.selected {
+        background: var(--_accent);
+        color: white;
+      }
+
+      .history-export {
+        display: flex;
+        justify-content: flex-end;
+        gap: 5px;
+        margin-top: 10px;
+      }
+
+      .history-export button {
+        border: none;
+        border-radius: 4px;
+        padding: 2px 8px;
+        background: var(--_accent);
+        color: white;
+        font-size: 12px;
+        cursor: pointer;
+      }
+
+      @media (prefers-reduced-motion: reduce) {
+        .player-card,
+        .card-header,
+        .message-list,
+        .play-button,
+        .record-button,
+        .volume-slider::-webkit-slider-thumb {
+          transition: none;
+        }
+
+        .player-card:hover,
+        .play-button:hover,
+        .volume-slider::-webkit-slider-thumb:hover {
+          transform: none;
+        }
+
+        .pulse,
+        .record-button.recording {
+          animation: none;
+        }
+      }
     `;
 
+    // Announces callsigns going on and off air to screen readers
+    const announcer = document.createElement("div");
+    announcer.setAttribute("id", "announcer");
+    announcer.setAttribute("role", "status");
+    announcer.setAttribute("aria-live", "polite");
+    announcer.className = "visually-hidden";
+    card.appendChild(announcer);
+
+    // Closed panels stay out of the tab order
+    [messageList, historyList, recordingsList, outputList].forEach(list => (list.inert = true));
+
+    // Theme custom properties, rewritten by _renderTheme
+    const themeStyle = document.createElement("style");
+    themeStyle.setAttribute("id", "themeStyle");
+
     // Attach elements to shadow DOM
     shadow.appendChild(style);
+    shadow.appendChild(themeStyle);
     shadow.appendChild(card);
+    this._applyVisualizer();
+    this._renderTheme();
+    this._applyLanguage();
   }
 }
 
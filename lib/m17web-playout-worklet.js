@@ -0,0 +1,123 @@
+/**
+ * PlayoutProcessor - AudioWorklet ring buffer for decoded 8 kHz audio
+ * Applies the same jitter buffer rules as PlayoutScheduler (prebuffer to the
+ * target depth, silence on underrun, drop-oldest on overrun) and resamples
+ * to the rate of the AudioContext
+ */
+const INPUT_RATE = 8000;
+
+class PlayoutProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const opts = options.processorOptions || {};
+
+    this._ring = new Float32Array(0);
+    this._read = 0;
+    this._count = 0;
+    this._frac = 0;
+    this._step = INPUT_RATE / sampleRate;
+    this._buffering = true;
+    this._draining = false;
+    this._configure(opts.targetDepth, opts.maxDepth);
+
+    this.port.onmessage = (evt) => this._onMessage(evt.data);
+  }
+
+  _configure(targetDepth = 400, maxDepth = 1500) {
+    this._target = Math.round(targetDepth * INPUT_RATE / 1000);
+    this._max = Math.max(Math.round(maxDepth * INPUT_RATE / 1000), this._target);
+
+    // Keep room for one more large chunk above the maximum depth
+    const capacity = this._max + INPUT_RATE;
+    if (capacity > this._ring.length) {
+      const ring = new Float32Array(capacity);
+      for (let i = 0; i < this._count; i++) {
+        ring[i] = this._ring[(this._read + i) % this._ring.length];
+      }
+      this._ring = ring;
+      this._read = 0;
+    }
+  }
+
+  _onMessage(msg) {
+    switch (msg.type) {
+      case 'samples':
+        this._write(msg.samples);
+        break;
+      case 'end':
+        if (this._count > 0) {
+          this._draining = true;
+          this._buffering = false;
+        }
+        break;
+      case 'reset':
+        this._read = 0;
+        this._count = 0;
+        this._frac = 0;
+        this._buffering = true;
+        this._draining = false;
+        break;
+      case 'config':
+        this._configure(msg.targetDepth, msg.maxDepth);
+        break;
+    }
+  }
+
+  _write(samples) {
+    // Overrun: drop the oldest audio until back at the target depth
+    if (this._count + samples.length > this._max) {
+      const drop = Math.min(this._count, this._count + samples.length - this._target);
+      this._read = (this._read + drop) % this._ring.length;
+      this._count -= drop;
+      this.port.postMessage({ type: 'dropped', samples: drop });
+    }
+
+    // A single chunk larger than the ring keeps only its newest part
+    if (samples.length > this._ring.length) {
+      samples = samples.subarray(samples.length - this._ring.length);
+    }
+
+    let pos = (this._read + this._count) % this._ring.length;
+    for (let i = 0; i < samples.length; i++) {
+      this._ring[pos] = samples[i];
+      pos = (pos + 1) % this._ring.length;
+    }
+    this._count += samples.length;
+
+    if (this._buffering && this._count >= this._target) {
+      this._buffering = false;
+    }
+  }
+
+  process(inputs, outputs) {
+    const out = outputs[0][0];
+    if (this._buffering) return true;
+
+    for (let i = 0; i < out.length; i++) {
+      if (this._count < 1) {
+        // Ran dry: end of a drained transmission or an underrun
+        if (!this._draining) this.port.postMessage({ type: 'underrun' });
+        this._draining = false;
+        this._buffering = true;
+        this._frac = 0;
+        break;
+      }
+
+      // Linear interpolation between the current and the next input sample
+      const current = this._ring[this._read];
+      const next = this._count > 1 ? this._ring[(this._read + 1) % this._ring.length] : current;
+      out[i] = current + (next - current) * this._frac;
+
+      this._frac += this._step;
+      while (this._frac >= 1 && this._count > 0) {
+        this._frac -= 1;
+        this._read = (this._read + 1) % this._ring.length;
+        this._count--;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('m17web-playout', PlayoutProcessor);
@@ -0,0 +1,241 @@
+import { parseLsf, codecModeForType, LSF_LENGTH_WITH_CRC } from './m17web-lsf.js';
+
+/**
+ * Protocol - Parsing and validation of m17web-proxy messages
+ * Checks status entries and stream frames before the player trusts them
+ */
+export const PROTOCOL_VERSION = 1;
+
+// WebSocket subprotocols offered for stream connections, preferred first
+export const BINARY_SUBPROTOCOL = 'm17web-binary.v1';
+export const JSON_SUBPROTOCOL = 'm17web-json.v1';
+
+// Binary frame layout: version byte, flags byte, the LSF with its CRC if
+// FLAG_LSF is set, raw Codec2 payload
+export const BINARY_HEADER_LENGTH = 2;
+export const FLAG_END_OF_STREAM = 0x01;
+export const FLAG_CODEC2_1600 = 0x02;
+export const FLAG_LSF = 0x04;
+
+// Codec2 modes carried in M17 stream mode. Each 16 byte stream payload holds
+// two 3200 frames, or one 1600 frame followed by 8 bytes of data
+export const CODEC_MODES = {
+  3200: { decoder: 'decode', voiceBytes: 16, frameMs: 20 },
+  1600: { decoder: 'decode_1600', voiceBytes: 8, frameMs: 40 }
+};
+export const DEFAULT_CODEC_MODE = 3200;
+const PAYLOAD_BYTES = 16;
+
+// Strip the data half of 1600 mode payloads, leaving only Codec2 bytes
+export function extractVoice(bytes, codecMode) {
+  const { voiceBytes } = CODEC_MODES[codecMode];
+  if (voiceBytes === PAYLOAD_BYTES) return bytes;
+
+  const voice = new Uint8Array(Math.ceil(bytes.length / PAYLOAD_BYTES) * voiceBytes);
+  let length = 0;
+  for (let offset = 0; offset < bytes.length; offset += PAYLOAD_BYTES) {
+    const chunk = bytes.subarray(offset, Math.min(offset + voiceBytes, bytes.length));
+    voice.set(chunk, length);
+    length += chunk.length;
+  }
+  return voice.subarray(0, length);
+}
+
+/**
+ * ProtocolError - A message that can't be used at all
+ */
+export class ProtocolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProtocolError';
+  }
+}
+
+/**
+ * CodecUnsupportedError - The Codec2 WASM build has no decoder for a mode
+ */
+export class CodecUnsupportedError extends Error {
+  constructor(mode) {
+    super(`the Codec2 WASM module has no decoder for mode ${mode}`);
+    this.name = 'CodecUnsupportedError';
+  }
+}
+
+const isString = (value) => typeof value === 'string';
+const isByte = (value) => Number.isInteger(value) && value >= 0 && value <= 255;
+
+// Decoded LSF of a frame. A broken one is only reported in lsfError, the
+// voice in the same frame is still good
+const decodeLsf = (bytes) => {
+  try {
+    return { lsf: parseLsf(bytes), lsfError: null };
+  } catch (err) {
+    return { lsf: null, lsfError: err.message };
+  }
+};
+
+// Messages without a version are from the original protocol
+const checkVersion = (msg, source) => {
+  if (msg.version === undefined) return;
+  const major = parseInt(String(msg.version), 10);
+  if (major !== PROTOCOL_VERSION) {
+    throw new ProtocolError(`unsupported ${source} protocol version ${msg.version}`);
+  }
+};
+
+const parseJson = (data, source) => {
+  if (!isString(data)) {
+    throw new ProtocolError(`${source} message is not text`);
+  }
+  try {
+    return JSON.parse(data);
+  } catch (err) {
+    throw new ProtocolError(`${source} message is not valid JSON`);
+  }
+};
+
+// Return the problem with a status entry, or null when it's usable
+export function validateStatusEntry(entry) {
+  if (!entry || typeof entry !== 'object') return 'entry is not an object';
+  if (!isString(entry.reflector) || !entry.reflector) return 'missing reflector';
+  if (!isString(entry.module) || !entry.module) return `missing module for ${entry.reflector}`;
+
+  const where = `${entry.reflector} ${entry.module}`;
+  if (entry.last_qso_call != null && !isString(entry.last_qso_call)) return `${where}: last_qso_call is not a string`;
+  if (typeof entry.active_qso !== 'boolean') return `${where}: active_qso is not a boolean`;
+
+  if (entry.messages != null) {
+    if (!Array.isArray(entry.messages)) return `${where}: messages is not an array`;
+    const invalid = entry.messages.some(msg => !msg || !isString(msg.callsign) || !isString(msg.message));
+    if (invalid) return `${where}: malformed message`;
+  }
+
+  try {
+    checkVersion(entry, 'status');
+  } catch (err) {
+    return err.message;
+  }
+  return null;
+}
+
+// Parse a status update into its valid entries and the problems with the rest
+// (error objects carry the message and, where known, reflector and module)
+export function parseStatus(data) {
+  const msg = parseJson(data, 'status');
+  if (!Array.isArray(msg)) {
+    throw new ProtocolError('status message is not an array');
+  }
+
+  const entries = [];
+  const errors = [];
+  msg.forEach((entry) => {
+    const error = validateStatusEntry(entry);
+    if (error) {
+      // Keep what identifies the entry so players can tell whether it's theirs
+      const { reflector, module } = entry && typeof entry === 'object' ? entry : {};
+      errors.push({ message: error, reflector, module });
+    } else {
+      entries.push({ ...entry, last_qso_call: entry.last_qso_call ?? '' });
+    }
+  });
+  return { entries, errors };
+}
+
+// Parse a binary stream frame, the payload is a view into the received buffer
+export function parseBinaryFrame(buffer) {
+  if (buffer.byteLength < BINARY_HEADER_LENGTH) {
+    throw new ProtocolError('binary stream frame shorter than its header');
+  }
+
+  const header = new Uint8Array(buffer, 0, BINARY_HEADER_LENGTH);
+  if (header[0] !== PROTOCOL_VERSION) {
+    throw new ProtocolError(`unsupported stream protocol version ${header[0]}`);
+  }
+
+  const flags = header[1];
+  let payloadStart = BINARY_HEADER_LENGTH;
+  let lsf = null;
+  let lsfError = null;
+  if (flags & FLAG_LSF) {
+    payloadStart += LSF_LENGTH_WITH_CRC;
+    if (buffer.byteLength < payloadStart) {
+      throw new ProtocolError('binary stream frame shorter than its LSF');
+    }
+    ({ lsf, lsfError } = decodeLsf(new Uint8Array(buffer, BINARY_HEADER_LENGTH, LSF_LENGTH_WITH_CRC)));
+  }
+
+  // An unset 1600 bit can't be told from a proxy that doesn't set it, so
+  // the LSF TYPE decides then. Frames stating neither leave it null, as in
+  // JSON frames, and stay in the mode of the running transmission
+  let codecMode = null;
+  if (flags & FLAG_CODEC2_1600) {
+    codecMode = 1600;
+  } else if (lsf) {
+    codecMode = lsf.codecMode;
+  }
+
+  return {
+    c2_stream: new Uint8Array(buffer, payloadStart),
+    done: (flags & FLAG_END_OF_STREAM) !== 0,
+    codecMode,
+    lsf,
+    lsfError,
+    flags
+  };
+}
+
+// Parse a stream frame, throws a ProtocolError for frames that must be skipped
+export function parseStreamFrame(data) {
+  if (data instanceof ArrayBuffer) {
+    return parseBinaryFrame(data);
+  }
+
+  const msg = parseJson(data, 'stream');
+  if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+    throw new ProtocolError('stream frame is not an object');
+  }
+  checkVersion(msg, 'stream');
+
+  if (!Array.isArray(msg.c2_stream)) {
+    throw new ProtocolError('stream frame without c2_stream');
+  }
+  if (!msg.c2_stream.every(isByte)) {
+    throw new ProtocolError('c2_stream contains values that are not bytes');
+  }
+  if (msg.done !== undefined && typeof msg.done !== 'boolean') {
+    throw new ProtocolError('done is not a boolean');
+  }
+
+  // Forwarded Link Setup Frame, 28 bytes or 30 with its CRC
+  let lsf = null;
+  let lsfError = null;
+  if (msg.lsf != null) {
+    if (!Array.isArray(msg.lsf) || !msg.lsf.every(isByte)) {
+      throw new ProtocolError('lsf is not a byte array');
+    }
+    ({ lsf, lsfError } = decodeLsf(msg.lsf));
+  }
+
+  // Codec mode from an explicit codec_mode, else from the LSF TYPE. Frames
+  // saying neither leave it null, they belong to the mode last detected
+  let codecMode = null;
+  if (msg.codec_mode !== undefined) {
+    codecMode = Number(msg.codec_mode);
+    if (!CODEC_MODES[codecMode]) {
+      throw new ProtocolError(`unsupported codec mode ${msg.codec_mode}`);
+    }
+  } else if (lsf) {
+    codecMode = lsf.codecMode;
+  } else if (Number.isInteger(msg.lsf_type)) {
+    codecMode = codecModeForType(msg.lsf_type);
+  }
+
+  return {
+    ...msg,
+    c2_stream: Uint8Array.from(msg.c2_stream),
+    done: msg.done === true,
+    codecMode,
+    lsf,
+    lsfError
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * Recorder - Collects decoded audio for WAV export
+ * Keeps a rolling pre-roll of the most recent audio so a recording started
+ * mid-transmission still includes the last few seconds
+ */
+export class Recorder {
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 8000;
+    this.preRoll = options.preRoll ?? 5; // seconds
+
+    this._preRollChunks = [];
+    this._preRollLength = 0;
+    this._chunks = null;
+  }
+
+  get recording() {
+    return this._chunks !== null;
+  }
+
+  // Feed decoded float samples, called for every chunk while streaming
+  push(samples) {
+    if (this._chunks) {
+      this._chunks.push(samples);
+    }
+
+    this._preRollChunks.push(samples);
+    this._preRollLength += samples.length;
+
+    // Drop whole chunks as long as the rest still covers the pre-roll time
+    const maxLength = this.preRoll * this.sampleRate;
+    while (this._preRollChunks.length && this._preRollLength - this._preRollChunks[0].length >= maxLength) {
+      this._preRollLength -= this._preRollChunks.shift().length;
+    }
+  }
+
+  // Start a recording, optionally beginning with the pre-roll
+  start(withPreRoll = false) {
+    if (this._chunks) return;
+    this._chunks = withPreRoll && this.preRoll > 0 ? this._preRollChunks.slice() : [];
+  }
+
+  // Finish the recording and return its samples, or null when none was running
+  stop() {
+    if (!this._chunks) return null;
+
+    const length = this._chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const samples = new Float32Array(length);
+    let offset = 0;
+    this._chunks.forEach(chunk => {
+      samples.set(chunk, offset);
+      offset += chunk.length;
+    });
+
+    this._chunks = null;
+    return samples;
+  }
+
+  // Forget the pre-roll, e.g. when the stream is stopped
+  clearPreRoll() {
+    this._preRollChunks = [];
+    this._preRollLength = 0;
+  }
+}
+
+/**
+ * Encode float samples as a 16 bit mono PCM WAV file
+ */
+export function encodeWav(samples, sampleRate = 8000) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  writeString(0, "RIFF");
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // byte rate
+  view.setUint16(32, 2, true); // block align
+  view.setUint16(34, 16, true); // bits per sample
+  writeString(36, "data");
+  view.setUint32(40, samples.length * 2, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+  }
+
+  return new Blob([buffer], { type: "audio/wav" });
+}
@@ -0,0 +1,290 @@
+import { M17webPlayer } from './m17web-player.js';
+import { PlayerHost, PLAYER_ATTRIBUTES } from './m17web-player-host.js';
+
+// Split a comma or whitespace separated list of "REFLECTOR/MODULE" channels
+const parseChannels = (value) => (value || '')
+  .split(/[\s,]+/)
+  .filter(channel => channel.includes('/'));
+
+/**
+ * M17Scanner - Custom HTML element that follows activity across modules
+ * Watches active_qso for a list of channels and retargets a single player
+ * to the active one, honouring priority channels, hang time and lockouts
+ */
+export class M17Scanner extends PlayerHost {
+  // The single player also takes the scanner's volume, mute, pan and autoplay
+  static playerAttributes = [...PLAYER_ATTRIBUTES, "volume", "muted", "pan", "autoplay"];
+  static observedAttributes = ["channels", "priority", "lockout", "hang-time", ...M17Scanner.playerAttributes];
+
+  // Properties
+  hangTime = 3; // seconds to stay on a channel after its transmission ended
+
+  // Private properties
+  _player = null;
+  _channels = [];
+  _priority = new Set();
+  _lockout = new Set();
+  _active = new Set();
+  _current = null;
+  _hangUntil = 0;
+  _hangTimer = null;
+  _resumePlayback = false; // the player was stopped by a lockout, play on the next channel
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+    super.attributeChangedCallback(name, oldValue, newValue);
+
+    switch (name) {
+      case "channels":
+        this._channels = parseChannels(newValue);
+        this._renderChannels();
+        this._evaluate();
+        break;
+      case "priority":
+        this._priority = new Set(parseChannels(newValue));
+        this._renderChannels();
+        this._evaluate();
+        break;
+      case "lockout":
+        this._lockout = new Set(parseChannels(newValue));
+        this._renderChannels();
+        this._evaluate();
+        break;
+      case "hang-time": {
+        const hangTime = parseFloat(newValue);
+        this.hangTime = Number.isFinite(hangTime) && hangTime >= 0 ? hangTime : 3;
+        break;
+      }
+    }
+  }
+
+  connectedCallback() {
+    if (!this.shadowRoot) this._createUI();
+    super.connectedCallback();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    clearTimeout(this._hangTimer);
+  }
+
+  // Channel currently followed, as "REFLECTOR/MODULE"
+  get channel() {
+    return this._current;
+  }
+
+  get player() {
+    return this._player;
+  }
+
+  get hostedPlayers() {
+    return this._player ? [this._player] : [];
+  }
+
+  // Lockout of noisy channels
+  lockout(channel) {
+    this._lockout.add(channel);
+    this.setAttribute("lockout", Array.from(this._lockout).join(" "));
+  }
+
+  unlock(channel) {
+    this._lockout.delete(channel);
+    this.setAttribute("lockout", Array.from(this._lockout).join(" "));
+  }
+
+  _onStatus(status) {
+    this._active = new Set(status.entries
+      .filter(entry => entry.active_qso)
+      .map(entry => `${entry.reflector}/${entry.module}`));
+    this._renderChannels();
+    this._evaluate();
+  }
+
+  // Scanning
+  _isActive(channel) {
+    return this._active.has(channel) && !this._lockout.has(channel);
+  }
+
+  // Best active channel: priority channels first, then in list order
+  _bestActive() {
+    const active = this._channels.filter(channel => this._isActive(channel));
+    return active.find(channel => this._priority.has(channel)) || active[0] || null;
+  }
+
+  _evaluate() {
+    clearTimeout(this._hangTimer);
+    this._hangTimer = null;
+    if (!this._player) return;
+
+    const best = this._bestActive();
+    const current = this._current;
+
+    // A locked out or removed channel is left right away, and silenced
+    // when nothing else is on air
+    if (current && (this._lockout.has(current) || !this._channels.includes(current))) {
+      this._current = null;
+      if (best) {
+        this._select(best, "lockout");
+      } else {
+        this._park();
+      }
+      return;
+    }
+
+    if (current && this._isActive(current)) {
+      this._hangUntil = 0;
+      // Only a priority channel may interrupt an ongoing transmission
+      if (best && best !== current && this._priority.has(best) && !this._priority.has(current)) {
+        this._select(best, "priority");
+      }
+      return;
+    }
+
+    // Hang on the last channel for replies, counted from the end of its transmission
+    if (current && !this._hangUntil) this._hangUntil = Date.now() + this.hangTime * 1000;
+    if (!best) return;
+
+    if (current && !this._priority.has(best)) {
+      const remaining = this._hangUntil - Date.now();
+      if (remaining > 0) {
+        this._hangTimer = setTimeout(() => this._evaluate(), remaining);
+        return;
+      }
+    }
+
+    this._select(best, current ? "activity" : "start");
+  }
+
+  _select(channel, reason) {
+    this._hangUntil = 0;
+    if (!channel || channel === this._current) return;
+
+    this._current = channel;
+    const [reflector, module] = channel.split('/');
+    this._player.setAttribute("label", `${reflector} ${module}`);
+    this._player.tune(reflector, module);
+    if (this._resumePlayback) {
+      this._resumePlayback = false;
+      this._player.play();
+    }
+    this._renderChannels();
+
+    this.dispatchEvent(new CustomEvent("m17-scanner-channel", {
+      detail: { reflector, module, reason },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  // Stop on a channel that was left without a successor; playback picks up
+  // again with the next channel that comes on air
+  _park() {
+    this._resumePlayback = ["connecting", "streaming", "reconnecting"].includes(this._player.state);
+    this._player.stop();
+    this._player.setAttribute("label", this._t("scanning"));
+    this._renderChannels();
+
+    this.dispatchEvent(new CustomEvent("m17-scanner-channel", {
+      detail: { reflector: null, module: null, reason: "lockout" },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  _renderChannels() {
+    if (!this.shadowRoot) return;
+    const channelList = this.shadowRoot.getElementById("channelList");
+    channelList.innerHTML = "";
+
+    this._channels.forEach((channel) => {
+      const chip = document.createElement("button");
+      chip.className = "channel";
+      chip.classList.toggle("current", channel === this._current);
+      chip.classList.toggle("active", this._active.has(channel));
+      chip.classList.toggle("priority", this._priority.has(channel));
+      chip.classList.toggle("locked", this._lockout.has(channel));
+      chip.textContent = channel;
+      chip.setAttribute("aria-pressed", String(this._lockout.has(channel)));
+      chip.title = this._t(this._lockout.has(channel) ? "locked-out" : "lock-out");
+      chip.onclick = () => {
+        if (this._lockout.has(channel)) {
+          this.unlock(channel);
+        } else {
+          this.lockout(channel);
+        }
+      };
+      channelList.appendChild(chip);
+    });
+  }
+
+  _applyLanguage() {
+    super._applyLanguage();
+    if (this._player && !this._current) this._player.setAttribute("label", this._t("scanning"));
+    this._renderChannels();
+  }
+
+  // UI creation
+  _createUI() {
+    const shadow = this.attachShadow({ mode: "open" });
+
+    const channelList = document.createElement("div");
+    channelList.setAttribute("id", "channelList");
+    channelList.className = "channel-list";
+
+    this._player = document.createElement("m17-web-player");
+    this._passAttributes(this._player);
+    this._player.setAttribute("label", this._t("scanning"));
+    this._player.setAttribute("exportparts", M17webPlayer.parts.join(", "));
+
+    const style = document.createElement("style");
+    style.textContent = `
+      :host {
+        display: inline-block;
+      }
+
+      .channel-list {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 5px;
+        max-width: 330px;
+        margin: 0 15px;
+      }
+
+      .channel {
+        border: 1px solid rgba(128, 128, 128, 0.5);
+        border-radius: 10px;
+        padding: 2px 8px;
+        background: transparent;
+        color: inherit;
+        font-size: 12px;
+        cursor: pointer;
+      }
+
+      .channel.priority {
+        font-weight: 600;
+      }
+
+      .channel.active {
+        border-color: #F44336;
+      }
+
+      .channel.current {
+        background: var(--m17-accent, #4285F4);
+        border-color: var(--m17-accent, #4285F4);
+        color: white;
+      }
+
+      .channel.locked {
+        opacity: 0.4;
+        text-decoration: line-through;
+      }
+    `;
+
+    shadow.appendChild(style);
+    shadow.appendChild(channelList);
+    shadow.appendChild(this._player);
+    this._renderChannels();
+  }
+}
+
+customElements.define("m17-scanner", M17Scanner);
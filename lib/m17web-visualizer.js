@@ -0,0 +1,190 @@
+const MODES = ['meter', 'waveform', 'spectrum'];
+const SPECTRUM_MAX_FREQUENCY = 4000; // Hz, Codec2 is 8 kHz audio
+const METER_FLOOR = -60; // dBFS at the left end of the meter
+const PEAK_HOLD = 1000; // ms
+const PEAK_FALL = 20; // dB per second after the hold
+const IDLE_AFTER = 3000; // ms without new audio before drawing pauses, covers the jitter buffer
+
+const toDb = (value) => 20 * Math.log10(Math.max(value, 1e-10));
+
+/**
+ * Visualizer - Level meter, scrolling waveform or spectrum on a canvas
+ * Draws from an AnalyserNode on the decoded audio while started, colours
+ * follow the canvas' CSS color so it matches the card theme
+ */
+export class Visualizer {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.analyser = null;
+    this._mode = null;
+    this._frame = null;
+    this._running = false;
+    this._lastAudio = 0;
+    this._color = '#ffffff';
+    this._samples = null;
+    this._bins = null;
+    this._peak = METER_FLOOR;
+    this._peakTime = 0;
+  }
+
+  // 'meter', 'waveform', 'spectrum' or null to hide the canvas
+  get mode() { return this._mode; }
+  set mode(value) {
+    this._mode = MODES.includes(value) ? value : null;
+    this.canvas.style.display = this._mode ? "block" : "none";
+    this.canvas.classList.toggle("visualizer-meter", this._mode === 'meter');
+    this.clear();
+    if (!this._mode) this.stop();
+  }
+
+  // Read the theme colour again, call after the card's theme class changed
+  refreshColors() {
+    this._color = getComputedStyle(this.canvas).color || this._color;
+  }
+
+  start() {
+    this._running = true;
+    this.wake();
+  }
+
+  // Call for every chunk of decoded audio. Drawing pauses when none came for
+  // IDLE_AFTER, so quiet channels between transmissions cost no frames
+  wake() {
+    this._lastAudio = performance.now();
+    if (this._frame || !this._running || !this._mode || !this.analyser) return;
+    this.refreshColors();
+    const draw = () => {
+      if (performance.now() - this._lastAudio > IDLE_AFTER) {
+        this._frame = null;
+        this._peak = METER_FLOOR;
+        this.clear();
+        return;
+      }
+      this._frame = requestAnimationFrame(draw);
+      this._draw();
+    };
+    this._frame = requestAnimationFrame(draw);
+  }
+
+  // Stopped players don't draw at all
+  stop() {
+    this._running = false;
+    if (this._frame) cancelAnimationFrame(this._frame);
+    this._frame = null;
+    this._peak = METER_FLOOR;
+    this.clear();
+  }
+
+  clear() {
+    // No context when the canvas can't get one, e.g. without a GPU or in tests
+    const ctx = this.canvas.getContext('2d');
+    if (ctx) ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  _draw() {
+    // Match the backing store to the displayed size
+    const width = Math.round(this.canvas.clientWidth * (window.devicePixelRatio || 1));
+    const height = Math.round(this.canvas.clientHeight * (window.devicePixelRatio || 1));
+    if (!width || !height) return;
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+
+    const ctx = this.canvas.getContext('2d');
+    if (!ctx) return;
+    switch (this._mode) {
+      case 'meter':
+        this._drawMeter(ctx, width, height);
+        break;
+      case 'waveform':
+        this._drawWaveform(ctx, width, height);
+        break;
+      case 'spectrum':
+        this._drawSpectrum(ctx, width, height);
+        break;
+    }
+  }
+
+  _timeDomain() {
+    if (!this._samples || this._samples.length !== this.analyser.fftSize) {
+      this._samples = new Float32Array(this.analyser.fftSize);
+    }
+    this.analyser.getFloatTimeDomainData(this._samples);
+    return this._samples;
+  }
+
+  // VU bar for the RMS level with a falling peak marker
+  _drawMeter(ctx, width, height) {
+    const samples = this._timeDomain();
+    let sum = 0;
+    let max = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+      max = Math.max(max, Math.abs(samples[i]));
+    }
+    const rms = toDb(Math.sqrt(sum / samples.length));
+    const now = performance.now();
+    const peak = toDb(max);
+    if (peak >= this._peak) {
+      this._peak = peak;
+      this._peakTime = now;
+    } else if (now - this._peakTime > PEAK_HOLD) {
+      this._peak = Math.max(this._peak - PEAK_FALL / 60, METER_FLOOR);
+    }
+
+    const position = (db) => Math.min(Math.max(1 - db / METER_FLOOR, 0), 1) * width;
+    const gradient = ctx.createLinearGradient(0, 0, width, 0);
+    gradient.addColorStop(0, '#4CAF50');
+    gradient.addColorStop(0.75, '#FFC107');
+    gradient.addColorStop(1, '#F44336');
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.globalAlpha = 0.15;
+    ctx.fillStyle = this._color;
+    ctx.fillRect(0, 0, width, height);
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, position(rms), height);
+    ctx.fillStyle = this._color;
+    ctx.fillRect(Math.max(position(this._peak) - 2, 0), 0, 2, height);
+  }
+
+  // Scroll left and draw the newest block's min/max as a column on the right
+  _drawWaveform(ctx, width, height) {
+    const samples = this._timeDomain();
+    const step = Math.max(Math.round(2 * (window.devicePixelRatio || 1)), 1);
+    let min = 0;
+    let max = 0;
+    for (let i = 0; i < samples.length; i++) {
+      min = Math.min(min, samples[i]);
+      max = Math.max(max, samples[i]);
+    }
+
+    ctx.drawImage(this.canvas, -step, 0);
+    ctx.clearRect(width - step, 0, step, height);
+    const middle = height / 2;
+    ctx.fillStyle = this._color;
+    ctx.fillRect(width - step, middle - max * middle, step, Math.max((max - min) * middle, 1));
+  }
+
+  // Bars up to the Codec2 audio bandwidth
+  _drawSpectrum(ctx, width, height) {
+    const analyser = this.analyser;
+    if (!this._bins || this._bins.length !== analyser.frequencyBinCount) {
+      this._bins = new Uint8Array(analyser.frequencyBinCount);
+    }
+    analyser.getByteFrequencyData(this._bins);
+
+    const binWidth = analyser.context.sampleRate / analyser.fftSize;
+    const binCount = Math.min(Math.ceil(SPECTRUM_MAX_FREQUENCY / binWidth), this._bins.length);
+    const barWidth = width / binCount;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = this._color;
+    for (let i = 0; i < binCount; i++) {
+      const barHeight = (this._bins[i] / 255) * height;
+      ctx.fillRect(i * barWidth, height - barHeight, Math.max(barWidth - 1, 1), barHeight);
+    }
+  }
+}
@@ -0,0 +1,49 @@
+import { baseCallsign } from './m17web-callsign.js';
+
+/**
+ * Watchlist - Callsign patterns to be alerted about
+ * Patterns are case-insensitive, `*` matches any characters, and a pattern
+ * without a suffix or prefix also matches the callsign with one (OE3ANC
+ * matches OE3ANC/P and EA/OE3ANC)
+ */
+
+// Split a comma or whitespace separated list of callsign patterns
+export const parseWatchlist = (value) => (value || '')
+  .split(/[\s,]+/)
+  .filter(Boolean)
+  .map(pattern => pattern.toUpperCase());
+
+const patternToRegExp = (pattern) => new RegExp(`^${pattern
+  .split('*')
+  .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+  .join('.*')}$`);
+
+// Return the first pattern matching a callsign, or null
+export function matchWatchlist(patterns, callsign) {
+  if (!callsign) return null;
+  const call = callsign.trim().toUpperCase();
+  // "EA/OE3ANC" and "OE3ANC/P" are both OE3ANC
+  const { base } = baseCallsign(call);
+  return patterns.find((pattern) => {
+    const regExp = patternToRegExp(pattern);
+    return regExp.test(call) || regExp.test(base);
+  }) || null;
+}
+
+// Two short beeps generated locally, so no sound file has to be served.
+// Needs a running context, a suspended one would drop the cue silently
+export function playCue(audioCtx) {
+  const start = audioCtx.currentTime + 0.05;
+  [0, 0.2].forEach((offset) => {
+    const oscillator = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    oscillator.frequency.value = 880;
+    gain.gain.setValueAtTime(0, start + offset);
+    gain.gain.linearRampToValueAtTime(0.2, start + offset + 0.01);
+    gain.gain.setTargetAtTime(0, start + offset + 0.1, 0.02);
+    oscillator.connect(gain);
+    gain.connect(audioCtx.destination);
+    oscillator.start(start + offset);
+    oscillator.stop(start + offset + 0.2);
+  });
+}
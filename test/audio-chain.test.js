@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioChain } from '../lib/m17web-audio-chain.js';
+
+// Audio node that remembers what it is connected to
+class FakeNode {
+  constructor() {
+    this.outputs = new Set();
+    ['gain', 'frequency', 'threshold', 'knee', 'ratio', 'attack', 'release'].forEach((name) => {
+      this[name] = { value: 0, setTargetAtTime() {}, cancelScheduledValues() {} };
+    });
+  }
+
+  connect(node) {
+    this.outputs.add(node);
+  }
+
+  disconnect() {
+    this.outputs.clear();
+  }
+}
+
+const fakeContext = () => ({
+  currentTime: 0,
+  createGain: () => new FakeNode(),
+  createBiquadFilter: () => new FakeNode(),
+  createDynamicsCompressor: () => new FakeNode(),
+  createAnalyser: () => new FakeNode()
+});
+
+test('the analyser stays on the input when stages are switched', () => {
+  const chain = new AudioChain(fakeContext());
+  assert.ok(chain.input.outputs.has(chain.analyser));
+
+  [{ agc: true }, { voiceFilter: true }, { squelch: -40 }, { agcTarget: -12 }, { agc: false, voiceFilter: false, squelch: null }]
+    .forEach((options) => {
+      chain.configure(options);
+      assert.ok(chain.input.outputs.has(chain.analyser), `analyser detached by ${JSON.stringify(options)}`);
+    });
+});
@@ -0,0 +1,41 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.js';
+
+const dom = setupDom();
+await import('../lib/m17web-dashboard.js');
+const { parseStatus } = await import('../lib/m17web-protocol.js');
+
+after(() => dom.window.close());
+
+const entry = (module, fields = {}) => ({ reflector: 'M17-TST', module, active_qso: false, last_qso_call: '', ...fields });
+const update = (dashboard, entries) => dashboard._update(parseStatus(JSON.stringify(entries)));
+
+test('cards follow the modules in the status array', () => {
+  const dashboard = document.createElement('m17-reflector-dashboard');
+  document.body.appendChild(dashboard);
+
+  update(dashboard, [entry('A'), entry('B')]);
+  assert.deepEqual(dashboard.modules, ['M17-TST/A', 'M17-TST/B']);
+
+  update(dashboard, [entry('A')]);
+  assert.deepEqual(dashboard.modules, ['M17-TST/A']);
+  dashboard.remove();
+});
+
+test('a malformed entry keeps its card', () => {
+  const dashboard = document.createElement('m17-reflector-dashboard');
+  document.body.appendChild(dashboard);
+
+  update(dashboard, [entry('A'), entry('B')]);
+  const card = dashboard.shadowRoot.querySelectorAll('m17-web-player')[1];
+
+  update(dashboard, [entry('A'), entry('B', { active_qso: 'yes' })]);
+  assert.deepEqual(dashboard.modules, ['M17-TST/A', 'M17-TST/B']);
+  assert.ok(card.isConnected);
+
+  // It doesn't add a card for a module that wasn't shown before
+  update(dashboard, [entry('A'), entry('C', { active_qso: 'yes' })]);
+  assert.deepEqual(dashboard.modules, ['M17-TST/A']);
+  dashboard.remove();
+});
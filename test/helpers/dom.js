@@ -0,0 +1,105 @@
+/**
+ * Browser environment for the tests: a jsdom window whose globals the lib
+ * modules see as their own, plus stand-ins for what jsdom doesn't implement
+ * (Web Audio and workers). Import the lib modules only after setupDom()
+ */
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const GLOBALS = [
+  'window', 'document', 'navigator', 'localStorage', 'HTMLElement', 'HTMLMediaElement',
+  'customElements', 'CustomEvent', 'MutationObserver', 'WebSocket',
+  'requestAnimationFrame', 'cancelAnimationFrame', 'getComputedStyle'
+];
+
+// Audio parameter or node method nobody looks at: callable, any property
+// is another stub and assignments stick
+const stub = () => new Proxy(function () {}, {
+  get(target, prop) {
+    if (typeof prop === 'symbol') return undefined;
+    if (!(prop in target)) target[prop] = stub();
+    return target[prop];
+  },
+  apply: () => stub()
+});
+
+/**
+ * FakeAudioContext - Enough of an AudioContext for the mixer, the audio
+ * chain and the main thread playout scheduler; every node is a stub
+ */
+export class FakeAudioContext {
+  constructor() {
+    this.state = 'running';
+    this.sampleRate = 48000;
+    this.currentTime = 0;
+    this.destination = stub();
+  }
+
+  resume() {
+    this.state = 'running';
+    return Promise.resolve();
+  }
+
+  close() {
+    this.state = 'closed';
+    return Promise.resolve();
+  }
+}
+['createGain', 'createStereoPanner', 'createBiquadFilter', 'createDynamicsCompressor', 'createAnalyser',
+  'createBuffer', 'createBufferSource', 'createOscillator', 'createMediaStreamDestination']
+  .forEach((name) => {
+    FakeAudioContext.prototype[name] = () => stub();
+  });
+
+/**
+ * FakeWorker - Decoder worker answering every request with 20 ms of silence
+ * per 8 bytes of Codec2 3200
+ */
+export class FakeWorker {
+  postMessage({ id, data }) {
+    const samples = new Float32Array(data.length / 8 * 160);
+    setTimeout(() => this.onmessage && this.onmessage({ data: { id, samples } }), 0);
+  }
+
+  terminate() {}
+}
+
+export function setupDom() {
+  const dom = new JSDOM('<!DOCTYPE html><html lang="en"><head></head><body></body></html>', {
+    url: 'http://localhost/',
+    pretendToBeVisual: true,
+    // Exceptions are worth seeing, missing canvas support is expected
+    virtualConsole: new VirtualConsole().forwardTo(console, { jsdomErrors: ['unhandled-exception'] })
+  });
+  dom.window.AudioContext = FakeAudioContext;
+  dom.window.Worker = FakeWorker;
+
+  GLOBALS.forEach((name) => {
+    Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+  });
+  globalThis.AudioContext = FakeAudioContext;
+  globalThis.Worker = FakeWorker;
+  return dom;
+}
+
+// Resolve once check() returns something truthy, polling every few ms
+export function waitFor(check, { timeout = 5000, message = 'condition' } = {}) {
+  const start = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      let value;
+      try {
+        value = check();
+      } catch (err) {
+        value = null;
+      }
+      if (value) {
+        resolve(value);
+      } else if (Date.now() - start > timeout) {
+        reject(new Error(`Timed out after ${timeout} ms waiting for ${message}`));
+      } else {
+        setTimeout(poll, 10);
+      }
+    };
+    poll();
+  });
+}
@@ -0,0 +1,44 @@
+/**
+ * Starts tools/mock-proxy.mjs on a free port with the test fixtures, which
+ * have short transmissions and pauses so tests see both states quickly
+ */
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const SCRIPT = fileURLToPath(new URL('../../tools/mock-proxy.mjs', import.meta.url));
+const FIXTURES = fileURLToPath(new URL('../fixtures', import.meta.url));
+
+// Resolves with { host, stop() } once the proxy is listening, host being "localhost:<port>"
+export function startMockProxy() {
+  const child = spawn(process.execPath, [SCRIPT, '--port', '0', '--fixtures', FIXTURES], {
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const stop = () => {
+    if (child.exitCode === null) child.kill();
+    return exited;
+  };
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => {
+      stop();
+      reject(new Error('Mock proxy did not start'));
+    }, 5000);
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      const listening = output.match(/listening on ws:\/\/(localhost:\d+)/);
+      if (listening) {
+        clearTimeout(timer);
+        resolve({ host: listening[1], stop });
+      }
+    });
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Mock proxy exited with ${code}`));
+    });
+  });
+}
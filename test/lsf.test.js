@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLsf, encodeCallsign, decodeCallsign, crc16, MetaText, LsfError, LSF_LENGTH } from '../lib/m17web-lsf.js';
+
+const TYPE_VOICE_STREAM = 0x0005;
+const TYPE_GNSS = 0x0020; // unencrypted, META subtype 1
+
+// LSF from OE3ANC to @ALL with the given TYPE and META, CRC appended
+const makeLsf = (type, meta = []) => {
+  const lsf = new Uint8Array(30);
+  lsf.set(encodeCallsign('@ALL'), 0);
+  lsf.set(encodeCallsign('OE3ANC'), 6);
+  lsf[12] = type >> 8;
+  lsf[13] = type & 0xFF;
+  lsf.set(meta, 14);
+  const crc = crc16(lsf.subarray(0, LSF_LENGTH));
+  lsf[28] = crc >> 8;
+  lsf[29] = crc & 0xFF;
+  return lsf;
+};
+
+// Text META block with its control byte
+const textBlock = (control, text) => [control, ...new TextEncoder().encode(text.padEnd(13, ' '))];
+
+test('callsigns survive a base-40 round trip', () => {
+  // Example from the M17 spec
+  assert.deepEqual(Array.from(encodeCallsign('AB1CD')), [0x00, 0x00, 0x00, 0x9F, 0xDD, 0x51]);
+
+  ['OE3ANC', 'AB1CD-9/P', '#M17-M17', '@ALL'].forEach((callsign) => {
+    assert.equal(decodeCallsign(encodeCallsign(callsign)), callsign);
+  });
+  assert.equal(decodeCallsign(encodeCallsign('oe3anc')), 'OE3ANC');
+  assert.deepEqual(Array.from(encodeCallsign('@ALL')), [0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+  assert.equal(decodeCallsign(new Uint8Array(6)), '');
+});
+
+test('callsigns that base-40 cannot hold are rejected', () => {
+  assert.throws(() => encodeCallsign('AB!'), LsfError);
+  assert.throws(() => encodeCallsign('OE3ANC/MOBILE'), LsfError);
+  assert.throws(() => encodeCallsign('#M17-M17-1'), LsfError);
+  assert.doesNotThrow(() => encodeCallsign('ABCDEFGHI'));
+});
+
+test('crc16 matches the M17 test vectors', () => {
+  const ascii = (text) => new TextEncoder().encode(text);
+  assert.equal(crc16(new Uint8Array(0)), 0xFFFF);
+  assert.equal(crc16(ascii('A')), 0x206E);
+  assert.equal(crc16(ascii('123456789')), 0x772B);
+  assert.equal(crc16(Uint8Array.from({ length: 256 }, (_, i) => i)), 0x1C31);
+});
+
+test('an LSF is decoded and its CRC checked', () => {
+  const lsf = makeLsf(TYPE_VOICE_STREAM);
+  const parsed = parseLsf(lsf);
+  assert.equal(parsed.destination, '@ALL');
+  assert.equal(parsed.source, 'OE3ANC');
+  assert.equal(parsed.stream, true);
+  assert.equal(parsed.dataType, 'voice');
+  assert.equal(parsed.codecMode, 3200);
+  assert.equal(parsed.encryption, 'none');
+
+  // Without the CRC there's nothing to check
+  assert.equal(parseLsf(lsf.subarray(0, LSF_LENGTH)).source, 'OE3ANC');
+
+  lsf[7] ^= 0x01;
+  assert.throws(() => parseLsf(lsf), /CRC/);
+  assert.throws(() => parseLsf(lsf.subarray(0, 20)), LsfError);
+});
+
+test('GNSS positions carry their hemisphere and optional altitude', () => {
+  // 48.5°S 16.25°W, handheld, 1000 ft altitude, bearing 90°, 10 mph
+  const meta = [1, 2, 48, 0x7F, 0xFF, 16, 0x40, 0x00, 0x0F, 0x09, 0xC4, 0x00, 0x5A, 10];
+  const gnss = parseLsf(makeLsf(TYPE_VOICE_STREAM | TYPE_GNSS, meta)).gnss;
+  assert.equal(gnss.source, 'openrtx');
+  assert.equal(gnss.stationType, 'handheld');
+  assert.ok(Math.abs(gnss.latitude - -48.5) < 0.001);
+  assert.ok(Math.abs(gnss.longitude - -16.25) < 0.001);
+  assert.ok(Math.abs(gnss.altitude - 1000 * 0.3048) < 0.001);
+  assert.equal(gnss.bearing, 90);
+  assert.ok(Math.abs(gnss.speed - 16.09344) < 0.001);
+
+  // Northern and eastern without altitude, bearing or speed
+  meta[8] = 0x00;
+  const plain = parseLsf(makeLsf(TYPE_VOICE_STREAM | TYPE_GNSS, meta)).gnss;
+  assert.ok(plain.latitude > 0 && plain.longitude > 0);
+  assert.equal(plain.altitude, null);
+  assert.equal(plain.bearing, null);
+  assert.equal(plain.speed, null);
+});
+
+test('text blocks are put back together in block order', () => {
+  const first = parseLsf(makeLsf(TYPE_VOICE_STREAM, textBlock(0x31, 'Hello from '))).text;
+  const second = parseLsf(makeLsf(TYPE_VOICE_STREAM, textBlock(0x32, 'Vienna'))).text;
+  assert.deepEqual([first.index, first.count], [0, 2]);
+
+  const metaText = new MetaText();
+  assert.equal(metaText.add(second), true);
+  assert.equal(metaText.text, 'Vienna');
+  assert.equal(metaText.complete, false);
+
+  assert.equal(metaText.add(first), true);
+  assert.equal(metaText.text, 'Hello from   Vienna');
+  assert.equal(metaText.complete, true);
+
+  // Repeated blocks change nothing
+  assert.equal(metaText.add(second), false);
+
+  // A message with another block count replaces it
+  assert.equal(metaText.add(parseLsf(makeLsf(TYPE_VOICE_STREAM, textBlock(0x11, 'QRT'))).text), true);
+  assert.equal(metaText.text, 'QRT');
+  assert.equal(metaText.complete, true);
+});
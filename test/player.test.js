@@ -0,0 +1,182 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, waitFor } from './helpers/dom.js';
+import { startMockProxy } from './helpers/mock-proxy.js';
+
+const dom = setupDom();
+const { M17webPlayer } = await import('../lib/m17web-player.js');
+
+let proxy;
+before(async () => {
+  proxy = await startMockProxy();
+});
+after(async () => {
+  await proxy.stop();
+  dom.window.close();
+});
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+const createPlayer = (module, attributes = {}) => {
+  const player = document.createElement('m17-web-player');
+  Object.entries({ proxy: proxy.host, scheme: 'ws', reflector: 'M17-TST', module, ...attributes })
+    .forEach(([name, value]) => player.setAttribute(name, value));
+  document.body.appendChild(player);
+  return player;
+};
+
+const byId = (player, id) => player.shadowRoot.getElementById(id);
+
+test('status updates show the last heard callsign and the transmission', async () => {
+  const player = createPlayer('A');
+  const started = new Promise(resolve => player.addEventListener('m17-transmission-start', evt => resolve(evt.detail)));
+  const ended = new Promise(resolve => player.addEventListener('m17-transmission-end', evt => resolve(evt.detail)));
+
+  await waitFor(() => player.lastHeard === 'OE3ANC', { message: 'the status feed' });
+  assert.equal(byId(player, 'playerLastCall').textContent, 'Last Heard: OE3ANC');
+
+  const start = await started;
+  assert.equal(start.callsign, 'OE3ANC');
+  assert.equal(start.reflector, 'M17-TST');
+  assert.equal(start.module, 'A');
+  const end = await ended;
+  assert.equal(end.callsign, 'OE3ANC');
+  assert.ok(end.duration >= 0);
+});
+
+test('players only follow the entry of their own module', async () => {
+  const player = createPlayer('B');
+  await waitFor(() => player.lastHeard, { message: 'the status feed' });
+  assert.equal(player.lastHeard, 'N0CALL');
+});
+
+test('messages are rendered newest first', async () => {
+  const player = createPlayer('A');
+  const items = await waitFor(() => {
+    const found = byId(player, 'messageList').querySelectorAll('.message-item');
+    return found.length === 2 && found;
+  }, { message: 'the messages' });
+  assert.match(items[0].textContent, /^DL1ABC.*: Second test message$/);
+  assert.match(items[1].textContent, /^OE3ANC.*: First test message$/);
+
+  // Unchanged messages are not rebuilt on the next status update
+  const first = items[0];
+  await new Promise(resolve => setTimeout(resolve, 1200));
+  assert.equal(byId(player, 'messageList').querySelector('.message-item'), first);
+});
+
+test('modules without messages say so', async () => {
+  const player = createPlayer('B');
+  await waitFor(() => player.lastHeard, { message: 'the status feed' });
+  assert.equal(byId(player, 'messageList').textContent, 'No messages');
+});
+
+test('the card switches to the TX theme while a transmission is on air', async () => {
+  const player = createPlayer('A', { theme: 'dark' });
+  const card = byId(player, 'playerCard');
+
+  await waitFor(() => card.classList.contains('tx'), { message: 'the TX theme' });
+  assert.ok(card.classList.contains('dark-theme'));
+  assert.equal(byId(player, 'playerCallsign').textContent, 'OE3ANC');
+
+  await waitFor(() => !card.classList.contains('tx'), { message: 'the idle theme' });
+  assert.ok(card.classList.contains('dark-theme'));
+
+  // A theme change while on air keeps the TX state
+  await waitFor(() => card.classList.contains('tx'), { message: 'the next transmission' });
+  player.setAttribute('theme', 'light');
+  assert.ok(card.classList.contains('light-theme'));
+  assert.ok(card.classList.contains('tx'));
+});
+
+test('stopping tears the stream down', async () => {
+  const player = createPlayer('A');
+  const states = [];
+  player.addEventListener('m17-connection-state', (evt) => {
+    if (evt.detail.connection === 'stream') states.push(evt.detail.state);
+  });
+
+  player.play();
+  await waitFor(() => player.state === 'streaming', { message: 'the stream to open' });
+  const ws = player._ws;
+  assert.equal(byId(player, 'playerButton').getAttribute('aria-pressed'), 'true');
+
+  player.stop();
+  assert.equal(player.state, 'idle');
+  assert.equal(byId(player, 'playerButton').getAttribute('aria-pressed'), 'false');
+  await waitFor(() => ws.readyState === WebSocket.CLOSED, { message: 'the stream connection to close' });
+  assert.deepEqual(states, ['open']);
+});
+
+test('a shared stream stays open until its last player stops', async () => {
+  const first = createPlayer('B');
+  const second = createPlayer('B');
+  first.play();
+  second.play();
+  await waitFor(() => first.state === 'streaming' && second.state === 'streaming', { message: 'both streams to open' });
+  const ws = first._ws;
+  assert.equal(second._ws, ws);
+
+  first.stop();
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal(ws.readyState, WebSocket.OPEN);
+  assert.equal(second.state, 'streaming');
+
+  second.stop();
+  await waitFor(() => ws.readyState === WebSocket.CLOSED, { message: 'the stream connection to close' });
+});
+
+test('removing a playing card releases its stream', async () => {
+  const player = createPlayer('A');
+  player.play();
+  await waitFor(() => player.state === 'streaming', { message: 'the stream to open' });
+  const ws = player._ws;
+
+  player.remove();
+  assert.equal(player.state, 'idle');
+  await waitFor(() => ws.readyState === WebSocket.CLOSED, { message: 'the stream connection to close' });
+});
+
+test('an invalid proxy shows an error instead of connecting', () => {
+  const player = createPlayer('A', { proxy: 'bad host' });
+  player.play();
+  assert.equal(player.state, 'error');
+  assert.equal(byId(player, 'playerButton').getAttribute('aria-pressed'), 'false');
+});
+
+test('cards follow the language of the page', async () => {
+  const player = createPlayer('B');
+  assert.equal(byId(player, 'cardTitle').textContent, 'M17 Player');
+
+  document.documentElement.lang = 'de';
+  try {
+    await waitFor(() => byId(player, 'playerSlider').getAttribute('aria-label') === 'Lautstärke', { message: 'German strings' });
+  } finally {
+    document.documentElement.lang = 'en';
+  }
+  await waitFor(() => byId(player, 'playerSlider').getAttribute('aria-label') === 'Volume', { message: 'English strings' });
+});
+
+test('a recording opened by the first audio is named after the station reported next', () => {
+  const player = createPlayer('A', { proxy: '' });
+  player._recordingArmed = true;
+  const audio = new Float32Array(160);
+
+  // The status feed lags behind the audio
+  player._recordAudio(audio, false);
+  player._updateTransmission({ active_qso: true, last_qso_call: 'OE3ANC' });
+  player._recordAudio(audio, true);
+
+  assert.equal(player.recordings.length, 1);
+  assert.equal(player.recordings[0].callsign, 'OE3ANC');
+  assert.match(player.recordings[0].name, /^OE3ANC_M17-TST_A_/);
+});
+
+test('the buildUrl helper fills in the templates', () => {
+  const element = document.createElement('div');
+  element.setAttribute('scheme', 'ws');
+  element.setAttribute('base-path', 'm17/');
+  assert.equal(M17webPlayer.buildUrl('stream', element, { proxy: 'example.org', reflector: 'M17-TST', module: 'A' }),
+    'ws://example.org/m17/M17-TST/A');
+});
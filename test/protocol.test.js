@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStatus, parseStreamFrame, ProtocolError, FLAG_END_OF_STREAM, FLAG_CODEC2_1600, FLAG_LSF } from '../lib/m17web-protocol.js';
+import { encodeCallsign, crc16, LSF_LENGTH } from '../lib/m17web-lsf.js';
+
+const VOICE = Array(16).fill(0);
+
+// LSF from OE3ANC to @ALL with the given TYPE field, CRC appended
+const makeLsf = (type) => {
+  const lsf = new Uint8Array(30);
+  lsf.set(encodeCallsign('@ALL'), 0);
+  lsf.set(encodeCallsign('OE3ANC'), 6);
+  lsf[12] = type >> 8;
+  lsf[13] = type & 0xFF;
+  const crc = crc16(lsf.subarray(0, LSF_LENGTH));
+  lsf[28] = crc >> 8;
+  lsf[29] = crc & 0xFF;
+  return lsf;
+};
+
+const binaryFrame = (flags, lsf = null) => Uint8Array.from([1, flags, ...(lsf || []), ...VOICE]).buffer;
+
+test('status entries are validated one by one', () => {
+  const { entries, errors } = parseStatus(JSON.stringify([
+    { reflector: 'M17-TST', module: 'A', active_qso: true, last_qso_call: 'OE3ANC', messages: [] },
+    { reflector: 'M17-TST', module: 'B', active_qso: 'yes' }
+  ]));
+  assert.equal(entries.length, 1);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].module, 'B');
+});
+
+test('JSON frames without a mode leave it to the transmission', () => {
+  const frame = parseStreamFrame(JSON.stringify({ c2_stream: VOICE, done: false }));
+  assert.equal(frame.codecMode, null);
+  assert.equal(frame.done, false);
+  assert.equal(frame.c2_stream.length, 16);
+});
+
+test('frames that are not stream frames are rejected', () => {
+  assert.throws(() => parseStreamFrame('{"done": true}'), ProtocolError);
+  assert.throws(() => parseStreamFrame(JSON.stringify({ c2_stream: [256] })), ProtocolError);
+  assert.throws(() => parseStreamFrame(Uint8Array.from([1]).buffer), ProtocolError);
+});
+
+test('binary frames take the codec mode from their LSF', () => {
+  const frame = parseStreamFrame(binaryFrame(FLAG_LSF | FLAG_END_OF_STREAM, makeLsf(0x0007)));
+  assert.equal(frame.codecMode, 1600);
+  assert.equal(frame.done, true);
+  assert.equal(frame.lsf.source, 'OE3ANC');
+  assert.equal(frame.lsfError, null);
+  assert.equal(frame.c2_stream.length, 16);
+
+  // Frames between LSFs don't state a mode, the transmission keeps its own
+  assert.equal(parseStreamFrame(binaryFrame(0)).codecMode, null);
+  assert.equal(parseStreamFrame(binaryFrame(FLAG_CODEC2_1600)).codecMode, 1600);
+});
+
+test('a broken LSF is reported but keeps the voice', () => {
+  const lsf = makeLsf(0x0005);
+  lsf[29] ^= 0xFF;
+
+  const binary = parseStreamFrame(binaryFrame(FLAG_LSF, lsf));
+  assert.equal(binary.lsf, null);
+  assert.match(binary.lsfError, /CRC/);
+  assert.equal(binary.c2_stream.length, 16);
+
+  const json = parseStreamFrame(JSON.stringify({ c2_stream: VOICE, lsf: Array.from(lsf) }));
+  assert.equal(json.lsf, null);
+  assert.match(json.lsfError, /CRC/);
+  assert.equal(json.c2_stream.length, 16);
+});
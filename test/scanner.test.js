@@ -0,0 +1,74 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.js';
+
+const dom = setupDom();
+await import('../lib/m17web-scanner.js');
+
+after(() => dom.window.close());
+
+// Scanner whose player only records what it is asked to do
+const createScanner = () => {
+  const scanner = document.createElement('m17-scanner');
+  scanner.setAttribute('channels', 'M17-TST/A M17-TST/B');
+  document.body.appendChild(scanner);
+
+  const player = scanner.player;
+  const calls = [];
+  let state = 'idle';
+  Object.defineProperty(player, 'state', { get: () => state });
+  player.tune = (reflector, module) => calls.push(`tune ${reflector}/${module}`);
+  player.play = () => {
+    calls.push('play');
+    state = 'streaming';
+  };
+  player.stop = () => {
+    calls.push('stop');
+    state = 'idle';
+  };
+
+  const channels = [];
+  scanner.addEventListener('m17-scanner-channel', evt => channels.push(evt.detail));
+  const onAir = (...active) => {
+    scanner._active = new Set(active);
+    scanner._evaluate();
+  };
+  return { scanner, player, calls, channels, onAir };
+};
+
+test('the scanner follows the channel on air', () => {
+  const { scanner, calls, onAir } = createScanner();
+  onAir('M17-TST/B');
+  assert.equal(scanner.channel, 'M17-TST/B');
+  assert.deepEqual(calls, ['tune M17-TST/B']);
+  scanner.remove();
+});
+
+test('locking out the only channel on air silences it', () => {
+  const { scanner, player, calls, channels, onAir } = createScanner();
+  onAir('M17-TST/A');
+  player.play();
+
+  scanner.lockout('M17-TST/A');
+  assert.equal(scanner.channel, null);
+  assert.equal(player.state, 'idle');
+  assert.deepEqual(channels.at(-1), { reflector: null, module: null, reason: 'lockout' });
+  assert.ok(!scanner.shadowRoot.querySelector('.channel.current'));
+
+  // Playback picks up again on the next channel
+  calls.length = 0;
+  onAir('M17-TST/A', 'M17-TST/B');
+  assert.equal(scanner.channel, 'M17-TST/B');
+  assert.deepEqual(calls, ['tune M17-TST/B', 'play']);
+  scanner.remove();
+});
+
+test('locking out a channel moves on to another one on air', () => {
+  const { scanner, calls, channels, onAir } = createScanner();
+  onAir('M17-TST/A', 'M17-TST/B');
+  scanner.lockout('M17-TST/A');
+  assert.equal(scanner.channel, 'M17-TST/B');
+  assert.ok(!calls.includes('stop'));
+  assert.equal(channels.at(-1).reason, 'lockout');
+  scanner.remove();
+});
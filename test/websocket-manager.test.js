@@ -0,0 +1,115 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, waitFor } from './helpers/dom.js';
+import { startMockProxy } from './helpers/mock-proxy.js';
+
+const dom = setupDom();
+const { WebSocketManager } = await import('../lib/m17web-player.js');
+
+let proxy;
+before(async () => {
+  proxy = await startMockProxy();
+});
+after(async () => {
+  await proxy.stop();
+  dom.window.close();
+});
+
+const streamUrl = module => `ws://${proxy.host}/M17-TST/${module}`;
+
+// Listener recording what the manager hands it
+const recorder = () => {
+  const events = { open: 0, close: 0, messages: [] };
+  const listener = {
+    onopen: () => events.open++,
+    onclose: () => events.close++,
+    onmessage: evt => events.messages.push(evt.data)
+  };
+  return { events, listener };
+};
+
+test('players on the same stream share one connection', async () => {
+  const url = streamUrl('A');
+  const first = recorder();
+  const second = recorder();
+  const firstIndex = WebSocketManager.registerListener(url, first.listener);
+  const ws = WebSocketManager.getConnection(url);
+  const secondIndex = WebSocketManager.registerListener(url, second.listener);
+  assert.equal(WebSocketManager.getConnection(url), ws);
+
+  await waitFor(() => first.events.messages.length && second.events.messages.length, { message: 'frames on both listeners' });
+  assert.equal(first.events.open, 1);
+  assert.equal(second.events.open, 1);
+
+  WebSocketManager.unregisterListener(url, firstIndex);
+  assert.notEqual(ws.readyState, WebSocket.CLOSED);
+  assert.notEqual(ws.readyState, WebSocket.CLOSING);
+
+  // The last reference closes it, and the next player gets a new one
+  WebSocketManager.unregisterListener(url, secondIndex);
+  await waitFor(() => ws.readyState === WebSocket.CLOSED, { message: 'the connection to close' });
+  const third = recorder();
+  const thirdIndex = WebSocketManager.registerListener(url, third.listener);
+  const reopened = WebSocketManager.getConnection(url);
+  assert.notEqual(reopened, ws);
+  WebSocketManager.unregisterListener(url, thirdIndex);
+});
+
+test('a listener removed from a shared connection gets no more frames', async () => {
+  const url = streamUrl('B');
+  const kept = recorder();
+  const removed = recorder();
+  const keptIndex = WebSocketManager.registerListener(url, kept.listener);
+  WebSocketManager.getConnection(url);
+  const removedIndex = WebSocketManager.registerListener(url, removed.listener);
+  WebSocketManager.getConnection(url);
+
+  await waitFor(() => removed.events.messages.length, { message: 'a frame' });
+  WebSocketManager.unregisterListener(url, removedIndex);
+  const count = removed.events.messages.length;
+  const keptCount = kept.events.messages.length;
+
+  await waitFor(() => kept.events.messages.length > keptCount + 3, { message: 'more frames' });
+  assert.equal(removed.events.messages.length, count);
+  WebSocketManager.unregisterListener(url, keptIndex);
+});
+
+test('connections offering other subprotocols are not shared', async () => {
+  const url = streamUrl('A');
+  const protocols = ['m17web-binary.v1', 'm17web-json.v1'];
+  const json = recorder();
+  const binary = recorder();
+  const jsonIndex = WebSocketManager.registerListener(url, json.listener);
+  const jsonWs = WebSocketManager.getConnection(url);
+  const binaryIndex = WebSocketManager.registerListener(url, binary.listener, false, protocols);
+  const binaryWs = WebSocketManager.getConnection(url, protocols);
+  assert.notEqual(binaryWs, jsonWs);
+
+  await waitFor(() => json.events.messages.length && binary.events.messages.length, { message: 'frames on both connections' });
+  assert.equal(typeof json.events.messages[0], 'string');
+  assert.ok(binary.events.messages[0] instanceof ArrayBuffer);
+  assert.equal(binaryWs.protocol, 'm17web-binary.v1');
+
+  // Releasing one leaves the other open
+  WebSocketManager.unregisterListener(url, binaryIndex, false, protocols);
+  await waitFor(() => binaryWs.readyState === WebSocket.CLOSED, { message: 'the binary connection to close' });
+  assert.equal(jsonWs.readyState, WebSocket.OPEN);
+  WebSocketManager.unregisterListener(url, jsonIndex);
+});
+
+test('status connections deliver the status array', async () => {
+  const url = `ws://${proxy.host}/`;
+  const status = recorder();
+  const index = WebSocketManager.registerListener(url, status.listener, true);
+  const ws = WebSocketManager.getStatusConnection(url);
+  assert.equal(WebSocketManager.getStatusConnection(url), ws);
+
+  await waitFor(() => status.events.messages.length, { message: 'a status update' });
+  const entries = JSON.parse(status.events.messages[0]);
+  assert.deepEqual(entries.map(entry => `${entry.reflector}/${entry.module}`), ['M17-TST/A', 'M17-TST/B']);
+
+  // Status connections stay open for the page, close it once nobody listens
+  WebSocketManager.unregisterListener(url, index, true);
+  ws.close();
+  await waitFor(() => ws.readyState === WebSocket.CLOSED, { message: 'the status connection to close' });
+});
@@ -0,0 +1,216 @@
+/**
+ * Mock m17web-proxy - Local stand-in for development without a live reflector
+ *
+ * Serves the status JSON array on "/" and loops recorded stream frames on
+ * "/{reflector}/{module}", using only Node built-ins.
+ *
+ *   node tools/mock-proxy.mjs [--port 8080] [--fixtures tools/fixtures] [--base-path /m17]
+ *
+ * --port 0 picks a free port; the startup line names the one in use.
+ *
+ * The fixtures directory holds a status.json listing the simulated modules
+ * and, per module, a JSON-lines file with one stream frame per line exactly
+ * as the proxy sends it ({"c2_stream": [...], "done": false}, optionally with
+ * the 30 byte "lsf" including its CRC). Clients that
+ * offer the m17web-binary.v1 subprotocol get the same frames in binary form.
+ */
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const FRAME_INTERVAL = 40; // ms, one M17 stream frame
+const STATUS_INTERVAL = 1000; // ms
+const BINARY_SUBPROTOCOL = 'm17web-binary.v1';
+const FLAG_END_OF_STREAM = 0x01;
+const FLAG_LSF = 0x04;
+
+// Parse --name value pairs
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+};
+
+const args = parseArgs(process.argv.slice(2));
+const port = args.port === undefined ? 8080 : parseInt(args.port, 10);
+const fixtures = resolve(args.fixtures || join(fileURLToPath(import.meta.url), '..', 'fixtures'));
+const basePath = (args['base-path'] || '').replace(/\/+$/, '');
+
+// Simulated modules with their transmission loop
+const modules = JSON.parse(readFileSync(join(fixtures, 'status.json'), 'utf8')).map(config => ({
+  ...config,
+  frames: readFileSync(join(fixtures, config.stream), 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line)),
+  active: false,
+  position: 0,
+  clients: new Set()
+}));
+
+const statusClients = new Set();
+
+// Encode a single unfragmented server frame
+const encodeFrame = (opcode, payload) => {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+const send = (socket, data) => {
+  if (socket.writable) socket.write(encodeFrame(0x1, Buffer.from(data)));
+};
+
+const sendBinary = (socket, data) => {
+  if (socket.writable) socket.write(encodeFrame(0x2, data));
+};
+
+// Binary framing: version byte, flags byte, LSF if flagged, raw Codec2 payload
+const encodeBinaryFrame = (frame) => Buffer.concat([
+  Buffer.from([1, (frame.done ? FLAG_END_OF_STREAM : 0) | (frame.lsf ? FLAG_LSF : 0)]),
+  Buffer.from(frame.lsf || []),
+  Buffer.from(frame.c2_stream)
+]);
+
+// Handle client frames: answer pings and close requests, ignore the rest
+const handleClientData = (socket, buffer) => {
+  while (buffer.length >= 2) {
+    const opcode = buffer[0] & 0x0f;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      length = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+    const masked = (buffer[1] & 0x80) !== 0;
+    const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+    offset += masked ? 4 : 0;
+    if (buffer.length < offset + length) return buffer;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (mask) payload.forEach((byte, i) => { payload[i] = byte ^ mask[i % 4]; });
+
+    if (opcode === 0x8) {
+      socket.end(encodeFrame(0x8, payload.subarray(0, 2)));
+    } else if (opcode === 0x9) {
+      socket.write(encodeFrame(0xA, payload));
+    }
+    buffer = buffer.subarray(offset + length);
+  }
+  return buffer;
+};
+
+const statusSnapshot = () => JSON.stringify(modules.map(mod => ({
+  reflector: mod.reflector,
+  module: mod.module,
+  last_qso_call: mod.callsign,
+  active_qso: mod.active,
+  messages: mod.messages || []
+})));
+
+const broadcastStatus = () => {
+  const snapshot = statusSnapshot();
+  statusClients.forEach(socket => send(socket, snapshot));
+};
+
+// Play each module's fixture in a loop, pausing between transmissions
+const runModule = (mod) => {
+  mod.active = true;
+  mod.position = 0;
+  broadcastStatus();
+
+  const timer = setInterval(() => {
+    const frame = mod.frames[mod.position];
+    const json = JSON.stringify(frame);
+    const binary = encodeBinaryFrame(frame);
+    mod.clients.forEach(socket => {
+      if (socket.binaryFrames) {
+        sendBinary(socket, binary);
+      } else {
+        send(socket, json);
+      }
+    });
+    mod.position++;
+
+    if (mod.position >= mod.frames.length) {
+      clearInterval(timer);
+      mod.active = false;
+      broadcastStatus();
+      setTimeout(() => runModule(mod), mod.pause || 3000);
+    }
+  }, FRAME_INTERVAL);
+};
+
+const server = createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('WebSocket connections only\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  const path = decodeURI(req.url.split('?')[0]);
+  if (!key || !path.startsWith(`${basePath}/`)) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const route = path.slice(basePath.length + 1).split('/').filter(Boolean);
+  const mod = route.length === 2 && modules.find(m => m.reflector === route[0] && m.module === route[1]);
+  if (route.length !== 0 && !mod) {
+    socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+    return;
+  }
+
+  const offered = (req.headers['sec-websocket-protocol'] || '').split(',').map(p => p.trim());
+  socket.binaryFrames = Boolean(mod) && offered.includes(BINARY_SUBPROTOCOL);
+
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    ...(socket.binaryFrames ? [`Sec-WebSocket-Protocol: ${BINARY_SUBPROTOCOL}`] : []),
+    '', ''
+  ].join('\r\n'));
+
+  const clients = mod ? mod.clients : statusClients;
+  clients.add(socket);
+  console.log(`${mod ? `Stream ${mod.reflector}/${mod.module}` : 'Status'} client connected (${clients.size})${socket.binaryFrames ? ', binary frames' : ''}`);
+
+  let pending = Buffer.alloc(0);
+  socket.on('data', (data) => {
+    pending = handleClientData(socket, Buffer.concat([pending, data]));
+  });
+  socket.on('close', () => clients.delete(socket));
+  socket.on('error', () => clients.delete(socket));
+
+  if (!mod) send(socket, statusSnapshot());
+});
+
+setInterval(broadcastStatus, STATUS_INTERVAL);
+modules.forEach(runModule);
+
+server.listen(port, () => {
+  console.log(`Mock m17web-proxy listening on ws://localhost:${server.address().port}${basePath}/`);
+});